@@ -0,0 +1,82 @@
+// Prints the market series and per-symbol summaries of the processed_data_*.json
+// snapshots in a directory as JSON.
+//
+//   node analyze.js [directory] [--symbol <symbol>[,<symbol>...]] [--until <date>]
+//
+// The directory defaults to the one holding this script. Its snapshots.json is
+// used when present; otherwise every processed_data_*.json file is read.
+const fs = require("fs");
+const path = require("path");
+const { DataRepository, normalizeText, resolveSymbol, parseTradeDate } = require("./core.js");
+
+const MANIFEST_FILE = "snapshots.json";
+const SNAPSHOT_PATTERN = /^processed_data_.*\.json$/;
+
+const parseArgs = argv => {
+    const options = { directory: __dirname, symbols: [], until: null };
+    for (let index = 0; index < argv.length; index += 1) {
+        const arg = argv[index];
+        if (arg === "--symbol" || arg === "--until") {
+            const value = argv[index + 1];
+            if (value == null) throw new Error(`گزینهٔ ${arg} مقدار ندارد.`);
+            index += 1;
+            if (arg === "--symbol") {
+                options.symbols.push(...value.split(",").map(item => item.trim()).filter(Boolean));
+            } else {
+                options.until = parseTradeDate(value);
+                if (!options.until) throw new Error(`تاریخ ${value} برای --until معتبر نیست.`);
+            }
+        } else if (arg.startsWith("--")) {
+            throw new Error(`گزینهٔ ناشناخته: ${arg}`);
+        } else {
+            options.directory = path.resolve(arg);
+        }
+    }
+    return options;
+};
+
+const createRepository = directory => {
+    const readJson = async file => ({ data: JSON.parse(await fs.promises.readFile(path.join(directory, file), "utf8")) });
+    const files = fs.readdirSync(directory).filter(file => SNAPSHOT_PATTERN.test(file)).sort();
+    const manifestUrl = fs.existsSync(path.join(directory, MANIFEST_FILE)) ? MANIFEST_FILE : null;
+    return new DataRepository({ manifestUrl, files, readJson });
+};
+
+const analyze = async ({ directory, symbols = [], until = null }) => {
+    const repository = createRepository(directory);
+    await repository.load();
+
+    const asOf = repository.resolveDate(until);
+    const wanted = new Set(symbols.map(normalizeText));
+    const names = new Map();
+    repository.dates
+        .filter(date => date <= asOf)
+        .forEach(date =>
+            repository.getRecords(date).forEach(record => {
+                const symbol = resolveSymbol(record);
+                const key = normalizeText(symbol);
+                if (key && (!wanted.size || wanted.has(key))) names.set(key, symbol);
+            })
+        );
+
+    return {
+        dates: repository.dates,
+        asOf,
+        market: repository.computeMarketSeries().filter(item => item.date <= asOf),
+        symbols: [...names.values()]
+            .sort((a, b) => a.localeCompare(b, "fa"))
+            .map(symbol => ({ symbol, ...repository.getSymbolSummary(symbol, asOf) }))
+    };
+};
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => analyze(parseArgs(process.argv.slice(2))))
+        .then(result => process.stdout.write(`${JSON.stringify(result, null, 2)}\n`))
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { analyze, parseArgs };
@@ -1,8 +1,50 @@
 (() => {
-    const DATA_URL = "processed_data_14040730.json";
+    const {
+        JalaliCalendar,
+        normalizeText,
+        resolveSymbol,
+        toLatinDigits,
+        parseTradeDate,
+        toNumberOrNull,
+        escapeHtml,
+        parseCsv,
+        parseCsvNumber,
+        flowDirection,
+        breadthDisagrees,
+        FIELD_SCHEMAS,
+        FieldSchema,
+        createQualityReport,
+        movingAverage,
+        INDICATORS,
+        INDICATOR_PERIOD_RANGE,
+        summarizeHistory,
+        SIGNAL_PATTERNS,
+        detectSignals,
+        squarify,
+        SectorMap,
+        DataRepository
+    } = window.IranOICore;
+
+    const SNAPSHOT_MANIFEST_URL = "snapshots.json";
+    const SNAPSHOT_FILES = Object.freeze([
+        "processed_data_14040726.json",
+        "processed_data_14040727.json",
+        "processed_data_14040728.json",
+        "processed_data_14040729.json",
+        "processed_data_14040730.json",
+        "processed_data_14040803.json",
+        "processed_data_14040804.json",
+        "processed_data_14040805.json",
+        "processed_data_14040806.json",
+        "processed_data_14040807.json"
+    ]);
     const MAX_MARKET_POINTS = 30;
-    const TOP_SYMBOL_LIMIT = 10;
     const DEFAULT_MA = 2;
+    const PLAYBACK_INTERVAL_MS = 1600;
+    const LIVE_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+    const SERVICE_WORKER_URL = "sw.js";
+    // Set by sw.js on responses it served from its cache instead of the network.
+    const OFFLINE_CACHE_HEADER = "X-IranOI-Cache";
 
     const NUMBER_FORMAT = new Intl.NumberFormat("fa-IR");
     const DECIMAL_FORMAT = new Intl.NumberFormat("fa-IR", {
@@ -18,30 +60,20 @@
         neutral: "#94a3b8"
     });
 
-    const normalizeText = value => {
-        if (!value) return "";
-        return String(value)
-            .trim()
-            .replace(/\s+/g, "")
-            .replace(/[آإأ]/g, "ا")
-            .replace(/ي/g, "ی")
-            .replace(/ك/g, "ک")
-            .toLowerCase();
+    const fetchJson = async path => {
+        const response = await fetch(path, { cache: "no-store" });
+        if (!response.ok) {
+            throw new Error(`خواندن فایل ${path} با خطا مواجه شد (${response.status})`);
+        }
+        return { data: await response.json(), fromCache: Boolean(response.headers?.get(OFFLINE_CACHE_HEADER)) };
     };
 
     const formatDateLabel = date => {
         if (!date) return "—";
         const normalized = String(date).replace(/\D/g, "");
-        if (normalized.length === 8) {
-            const year = normalized.slice(0, 4);
-            const month = normalized.slice(4, 6);
-            const day = normalized.slice(6, 8);
-            return `${year}/${month}/${day}`;
-        }
-        return date;
+        return JalaliCalendar.format(normalized) ?? date;
     };
 
-    const resolveSymbol = item => (item?.symbol ?? item?.ticker ?? item?.Symbol ?? "").trim();
     const resolveRiskBadge = risk => {
         const value = String(risk ?? "").toLowerCase();
         if (!value) return { text: "نامشخص", className: "badge" };
@@ -57,192 +89,205 @@
         return { text: risk, className: "badge" };
     };
 
-    class DataRepository {
-        constructor(url) {
-            this.url = url;
-            this.byDate = {};
-            this.dates = [];
-            this.latestDate = null;
-            this.raw = null;
+    // Placeholders sit next to the canvas instead of replacing it, so a view can
+    // render a chart again after showing a message (e.g. when the date changes).
+    const showCanvasPlaceholder = (canvas, message) => {
+        if (!canvas) return;
+        const parent = canvas.parentElement;
+        let placeholder = parent.querySelector(":scope > .empty-state");
+        if (!placeholder) {
+            placeholder = document.createElement("div");
+            placeholder.className = "empty-state";
+            parent.appendChild(placeholder);
         }
+        placeholder.textContent = message;
+        canvas.hidden = true;
+    };
 
-        async load() {
-            const response = await fetch(this.url, { cache: "no-store" });
-            if (!response.ok) {
-                throw new Error(`خواندن فایل داده با خطا مواجه شد (${response.status})`);
-            }
-            this.raw = await response.json();
-            this.normalize();
-        }
+    const clearCanvasPlaceholder = canvas => {
+        if (!canvas) return;
+        canvas.parentElement.querySelector(":scope > .empty-state")?.remove();
+        canvas.hidden = false;
+    };
 
-        normalize() {
-            const result = {};
-            const isSymbolRecord = item => {
-                if (!item || typeof item !== "object") return false;
-                if ("symbol" in item || "ticker" in item) return true;
-                if ("buy_diff" in item || "sell_diff" in item || "net_diff" in item) return true;
-                if ("volume_7days" in item || "volume_21days" in item) return true;
-                return false;
-            };
+    const downloadBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
 
-            const addRecord = (dateInput, record) => {
-                if (!record) return;
-                let date = dateInput ?? record.trade_date ?? record.date ?? record.snapshot_date ?? record.last_date;
-                if (!date) return;
-                date = String(date).replace(/\D/g, "");
-                if (!date) return;
-                if (date.length !== 8) return;
-                if (!result[date]) {
-                    result[date] = [];
-                }
-                result[date].push(record);
-            };
+    // Excel only detects UTF-8 (and so Persian text) when the file starts with a BOM.
+    const toCsv = ({ columns, rows }) => {
+        const escape = value => {
+            const text = value == null ? "" : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [
+            columns.map(column => escape(column.label)).join(","),
+            ...rows.map(row => columns.map(column => escape(row[column.key])).join(","))
+        ];
+        return new Blob([`\uFEFF${lines.join("\r\n")}\r\n`], { type: "text/csv;charset=utf-8" });
+    };
 
-            const walker = (node, hintedDate = null) => {
-                if (!node) return;
-                if (Array.isArray(node)) {
-                    node.forEach(item => walker(item, hintedDate));
-                    return;
-                }
-                if (typeof node !== "object") return;
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let index = 0; index < 256; index += 1) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit += 1) {
+                value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+            }
+            table[index] = value >>> 0;
+        }
+        return table;
+    })();
 
-                if (isSymbolRecord(node)) {
-                    addRecord(hintedDate, node);
-                    return;
-                }
+    const crc32 = bytes => {
+        let crc = 0xffffffff;
+        for (let index = 0; index < bytes.length; index += 1) {
+            crc = CRC32_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    };
 
-                for (const [key, value] of Object.entries(node)) {
-                    if (key === "history") continue;
-                    const dateLike = /^\d{8}$/.test(key) ? key : hintedDate;
-                    walker(value, dateLike);
-                }
-            };
+    // Minimal ZIP writer (stored entries, no compression): enough for the few
+    // small XML parts of an XLSX workbook without pulling in a library.
+    const createZip = files => {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
 
-            walker(this.raw);
+        files.forEach(({ name, content }) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = crc32(data);
 
-            this.dates = Object.keys(result).sort();
-            this.byDate = result;
-            this.latestDate = this.dates[this.dates.length - 1] ?? null;
-        }
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
 
-        getRecords(date) {
-            return this.byDate[date] ?? [];
-        }
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
 
-        getLatestRecords() {
-            return this.latestDate ? [...this.getRecords(this.latestDate)] : [];
-        }
+            offset += 30 + nameBytes.length + data.length;
+        });
 
-        computeMarketSeries() {
-            return this.dates.map(date => {
-                const records = this.getRecords(date);
-                if (!records.length) {
-                    return {
-                        date,
-                        buy: 0,
-                        sell: 0,
-                        net: 0,
-                        volume: 0,
-                        symbols: 0,
-                        filtered: 0
-                    };
-                }
+        const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: "application/zip" });
+    };
 
-                let weightedBuy = 0;
-                let weightedSell = 0;
-                let weightedNet = 0;
-                let totalWeight = 0;
-                let volumeSum = 0;
-                let filteredCount = 0;
-
-                records.forEach(item => {
-                    const volume =
-                        Number(item.volume_7days ?? item.volume7 ?? item.volume ?? item.volume_weight ?? 0) || 0;
-                    const weight = volume > 0 ? volume : 1;
-                    const buy = Number(item.buy_diff ?? item.buyOI ?? item.buy_ratio ?? 0) || 0;
-                    const sell = Number(item.sell_diff ?? item.sellOI ?? item.sell_ratio ?? 0) || 0;
-                    const net = Number(item.net_diff ?? item.netOI ?? buy - sell) || 0;
-
-                    weightedBuy += buy * weight;
-                    weightedSell += sell * weight;
-                    weightedNet += net * weight;
-                    totalWeight += weight;
-                    volumeSum += Math.max(volume, 0);
-
-                    const pmRatio = Number(item.pm_ratio ?? 0);
-                    const monthlyVolume = Number(item.monthly_volume ?? item.volume_21days ?? 0);
-                    if (pmRatio || monthlyVolume) {
-                        filteredCount += 1;
-                    }
-                });
+    const escapeXml = value =>
+        String(value).replace(/[<>&"]/g, char => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[char]);
 
-                const divisor = totalWeight || records.length || 1;
-                return {
-                    date,
-                    buy: weightedBuy / divisor,
-                    sell: weightedSell / divisor,
-                    net: weightedNet / divisor,
-                    volume: volumeSum,
-                    symbols: records.length,
-                    filtered: filteredCount || records.length
-                };
-            });
-        }
+    const toXlsx = ({ title, columns, rows }) => {
+        const columnName = index => {
+            let name = "";
+            for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+                name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+            }
+            return name;
+        };
+        const cell = (value, columnIndex, rowIndex) => {
+            const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+            if (value == null || value === "") return `<c r="${ref}"/>`;
+            if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        };
+        const sheetRows = [columns.map(column => column.label), ...rows.map(row => columns.map(column => row[column.key]))]
+            .map((values, rowIndex) => `<row r="${rowIndex + 1}">${values.map((value, columnIndex) => cell(value, columnIndex, rowIndex)).join("")}</row>`)
+            .join("");
+        const sheetName = escapeXml(String(title ?? "Sheet1").replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
 
-        getSymbolHistory(symbol) {
-            const normalized = normalizeText(symbol);
-            if (!normalized) return [];
-
-            const timeline = [];
-            const seen = new Set();
-
-            for (const date of this.dates) {
-                const records = this.getRecords(date);
-                const match = records.find(rec => normalizeText(resolveSymbol(rec)) === normalized);
-                if (!match) continue;
-
-                if (Array.isArray(match.history) && match.history.length) {
-                    match.history.forEach(entry => {
-                        const historyDate = entry.date ?? entry.trade_date ?? entry.snapshot_date ?? date;
-                        const key = `${historyDate}-${entry.buy_diff ?? entry.net_diff ?? ""}`;
-                        if (seen.has(key)) return;
-                        seen.add(key);
-                        timeline.push({
-                            date: historyDate,
-                            buy: Number(entry.buy_diff ?? entry.buyOI ?? entry.buy_ratio ?? 0) || 0,
-                            sell: Number(entry.sell_diff ?? entry.sellOI ?? entry.sell_ratio ?? 0) || 0,
-                            net: Number(entry.net_diff ?? entry.netOI ?? 0) || 0,
-                            volume7: Number(entry.volume_7days ?? entry.volume7 ?? 0) || 0,
-                            volume21: Number(entry.volume_21days ?? entry.volume21 ?? 0) || 0
-                        });
-                    });
-                } else {
-                    const key = `${date}-${match.buy_diff ?? match.net_diff ?? ""}`;
-                    if (seen.has(key)) continue;
-                    seen.add(key);
-                    timeline.push({
-                        date,
-                        buy: Number(match.buy_diff ?? match.buyOI ?? match.buy_ratio ?? 0) || 0,
-                        sell: Number(match.sell_diff ?? match.sellOI ?? match.sell_ratio ?? 0) || 0,
-                        net: Number(match.net_diff ?? match.netOI ?? (match.buy_diff ?? 0) - (match.sell_diff ?? 0)) || 0,
-                        volume7: Number(match.volume_7days ?? match.volume7 ?? match.volume ?? 0) || 0,
-                        volume21: Number(match.volume_21days ?? match.volume21 ?? 0) || 0
-                    });
-                }
+        return createZip([
+            {
+                name: "[Content_Types].xml",
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`
+            },
+            {
+                name: "_rels/.rels",
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+            },
+            {
+                name: "xl/workbook.xml",
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+            },
+            {
+                name: "xl/_rels/workbook.xml.rels",
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+            },
+            {
+                name: "xl/worksheets/sheet1.xml",
+                content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0" rightToLeft="1"/></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>`
             }
+        ]);
+    };
 
-            const sorted = timeline.sort((a, b) =>
-                String(a.date).localeCompare(String(b.date))
-            );
-            return sorted;
-        }
-    }
+    const toJsonBlob = ({ columns, rows }) =>
+        new Blob(
+            [JSON.stringify(rows.map(row => Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null]))), null, 2)],
+            { type: "application/json" }
+        );
+
+    // Re-draws a chart canvas on a larger one with a title above and a date
+    // footer below, on the page background so the PNG reads well in reports.
+    const renderChartImage = (chart, { title, footer }) => {
+        const source = chart.canvas;
+        const scale = source.clientWidth ? source.width / source.clientWidth : 1;
+        const padding = 20 * scale;
+        const header = 44 * scale;
+        const bottom = 36 * scale;
+        const canvas = document.createElement("canvas");
+        canvas.width = source.width + padding * 2;
+        canvas.height = source.height + header + bottom + padding;
+
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#0b1224";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.direction = "rtl";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+        ctx.fillStyle = "#e2e8f0";
+        ctx.font = `600 ${18 * scale}px Vazirmatn, sans-serif`;
+        ctx.fillText(title, canvas.width - padding, padding + header / 2);
+        ctx.drawImage(source, padding, padding + header);
+        ctx.fillStyle = "#94a3b8";
+        ctx.font = `${12 * scale}px Vazirmatn, sans-serif`;
+        ctx.fillText(footer, canvas.width - padding, canvas.height - bottom / 2);
+        return canvas;
+    };
 
     class TabController {
         constructor(onChange) {
             this.buttons = Array.from(document.querySelectorAll("[data-tab-button]"));
             this.panels = Array.from(document.querySelectorAll("[data-tab-panel]"));
             this.onChange = onChange;
+            this.activeId = null;
         }
 
         init() {
@@ -258,6 +303,8 @@
         }
 
         activate(targetId) {
+            if (!this.buttons.some(button => button.dataset.tabButton === targetId)) return;
+            this.activeId = targetId;
             this.buttons.forEach(button => {
                 const isActive = button.dataset.tabButton === targetId;
                 button.classList.toggle("is-active", isActive);
@@ -275,11 +322,393 @@
         }
     }
 
+    const CALENDAR_BAND_COLORS = Object.freeze({
+        weekend: "rgba(148, 163, 184, 0.08)",
+        holiday: "rgba(251, 191, 36, 0.1)",
+        missing: "rgba(239, 68, 68, 0.14)"
+    });
+
+    // Lays snapshot dates out on a day-number axis; every calendar day without a
+    // snapshot becomes a band tagged as weekend, holiday or missing trading day.
+    const buildCalendarTimeline = dates => {
+        const days = dates.map(date => JalaliCalendar.toDayNumber(date)).filter(day => day != null);
+        if (!days.length) return { min: null, max: null, bands: [] };
+
+        const min = Math.min(...days);
+        const max = Math.max(...days);
+        const present = new Set(days);
+        const bands = [];
+        for (let day = min; day <= max; day += 1) {
+            if (present.has(day)) continue;
+            const key = JalaliCalendar.fromDayNumber(day);
+            const kind = JalaliCalendar.isWeekend(key) ? "weekend" : JalaliCalendar.isHoliday(key) ? "holiday" : "missing";
+            bands.push({ day, kind });
+        }
+        return { min, max, bands };
+    };
+
+    const toCalendarPoints = (dates, values) =>
+        dates
+            .map((date, index) => ({ x: JalaliCalendar.toDayNumber(date), y: values[index] }))
+            .filter(point => point.x != null);
+
+    // Line datasets get explicit nulls on missing trading days so Chart.js breaks the line there.
+    const withMissingDayGaps = (points, timeline) =>
+        [
+            ...points,
+            ...timeline.bands.filter(band => band.kind === "missing").map(band => ({ x: band.day, y: null }))
+        ].sort((a, b) => a.x - b.x);
+
+    const calendarAxis = (timeline, tickColor) => ({
+        type: "linear",
+        min: timeline.min - 0.5,
+        max: timeline.max + 0.5,
+        grid: {
+            color: "rgba(148, 163, 184, 0.08)"
+        },
+        ticks: {
+            color: tickColor,
+            stepSize: 1,
+            autoSkip: true,
+            maxRotation: 0,
+            callback: value => (Number.isInteger(value) ? formatDateLabel(JalaliCalendar.fromDayNumber(value)) : "")
+        }
+    });
+
+    const calendarTooltipTitle = items =>
+        items.length ? JalaliCalendar.format(JalaliCalendar.fromDayNumber(items[0].parsed.x), { long: true }) : "";
+
+    const CALENDAR_BANDS_PLUGIN = {
+        id: "calendarBands",
+        beforeDatasetsDraw(chart, args, options) {
+            const bands = options?.bands ?? [];
+            const scale = chart.scales.x;
+            if (!bands.length || !scale) return;
+
+            const { ctx, chartArea } = chart;
+            ctx.save();
+            bands.forEach(band => {
+                const start = scale.getPixelForValue(band.day - 0.5);
+                const end = scale.getPixelForValue(band.day + 0.5);
+                ctx.fillStyle = CALENDAR_BAND_COLORS[band.kind];
+                ctx.fillRect(Math.min(start, end), chartArea.top, Math.abs(end - start), chartArea.bottom - chartArea.top);
+            });
+            ctx.restore();
+        }
+    };
+
+    class SnapshotController {
+        constructor(repository, onChange) {
+            this.repository = repository;
+            this.onChange = onChange;
+            this.currentDate = null;
+            this.timer = null;
+            this.elements = {
+                bar: document.getElementById("asOfBar"),
+                select: document.getElementById("asOfDateSelect"),
+                previous: document.getElementById("asOfPrevious"),
+                play: document.getElementById("asOfPlay"),
+                next: document.getElementById("asOfNext"),
+                latest: document.getElementById("asOfLatest")
+            };
+        }
+
+        init() {
+            const { select } = this.elements;
+            if (!select) return;
+
+            this.renderOptions();
+            this.currentDate = this.repository.latestDate;
+            this.syncControls();
+
+            select.addEventListener("change", () => {
+                const date = select.value;
+                this.stop();
+                this.setDate(date);
+            });
+            this.elements.previous?.addEventListener("click", () => {
+                this.stop();
+                this.step(-1);
+            });
+            this.elements.next?.addEventListener("click", () => {
+                this.stop();
+                this.step(1);
+            });
+            this.elements.latest?.addEventListener("click", () => {
+                this.stop();
+                this.setDate(this.repository.latestDate);
+            });
+            this.elements.play?.addEventListener("click", () => (this.timer ? this.stop() : this.play()));
+        }
+
+        renderOptions() {
+            const { select } = this.elements;
+            select.innerHTML = [...this.repository.dates]
+                .reverse()
+                .map(date => `<option value="${date}">${JalaliCalendar.format(date, { long: true }) ?? formatDateLabel(date)}</option>`)
+                .join("");
+        }
+
+        // Called after snapshots were added: a view that showed the latest date
+        // moves on to the new latest one, a replayed past date stays put.
+        refresh(previousLatest) {
+            const followLatest = !this.currentDate || this.currentDate === previousLatest;
+            this.renderOptions();
+            this.currentDate = followLatest ? this.repository.latestDate : this.repository.resolveDate(this.currentDate);
+            this.syncControls();
+            if (typeof this.onChange === "function") {
+                this.onChange(this.currentDate);
+            }
+        }
+
+        setDate(date) {
+            const resolved = this.repository.resolveDate(date);
+            if (!resolved || resolved === this.currentDate) {
+                this.syncControls();
+                return;
+            }
+            this.currentDate = resolved;
+            this.syncControls();
+            if (typeof this.onChange === "function") {
+                this.onChange(resolved);
+            }
+        }
+
+        step(offset) {
+            const { dates } = this.repository;
+            const index = dates.indexOf(this.currentDate);
+            const target = dates[Math.min(Math.max(index + offset, 0), dates.length - 1)];
+            this.setDate(target);
+            return target !== dates[index];
+        }
+
+        play() {
+            const { dates } = this.repository;
+            if (dates.length < 2) return;
+            if (this.currentDate === this.repository.latestDate) {
+                this.setDate(dates[0]);
+            }
+            this.timer = setInterval(() => {
+                if (!this.step(1) || this.currentDate === this.repository.latestDate) {
+                    this.stop();
+                }
+            }, PLAYBACK_INTERVAL_MS);
+            this.syncControls();
+        }
+
+        isPlaying() {
+            return Boolean(this.timer);
+        }
+
+        stop() {
+            if (this.timer) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+            this.syncControls();
+        }
+
+        syncControls() {
+            const { dates, latestDate } = this.repository;
+            const index = dates.indexOf(this.currentDate);
+            if (this.elements.select && this.currentDate) {
+                this.elements.select.value = this.currentDate;
+            }
+            if (this.elements.previous) this.elements.previous.disabled = index <= 0;
+            if (this.elements.next) this.elements.next.disabled = index < 0 || index >= dates.length - 1;
+            if (this.elements.latest) this.elements.latest.disabled = this.currentDate === latestDate;
+            if (this.elements.play) {
+                this.elements.play.textContent = this.timer ? "⏸ توقف" : "▶ پخش";
+                this.elements.play.disabled = dates.length < 2;
+            }
+            this.elements.bar?.classList.toggle("is-replay", Boolean(this.currentDate) && this.currentDate !== latestDate);
+        }
+    }
+
+    const INDICATOR_STORAGE_KEY = "iranoi.indicators";
+    const INDICATOR_COLORS = Object.freeze({
+        sma: "#a78bfa",
+        ema: "#f472b6",
+        wma: "#2dd4bf",
+        bollinger: "#cbd5e1",
+        rsi: "#fb923c",
+        cumulative: "#60a5fa"
+    });
+    // Indicators that are not on the net-flow scale get their own axis on the right.
+    const INDICATOR_AXES = Object.freeze({
+        oscillator: { id: "yOscillator", title: "RSI", min: 0, max: 100 },
+        cumulative: { id: "yCumulative", title: "خالص تجمعی" }
+    });
+
+    const clampPeriod = (value, fallback) => {
+        const period = Math.round(Number(value));
+        if (!Number.isFinite(period) || value === "" || value == null) return fallback;
+        const [min, max] = INDICATOR_PERIOD_RANGE;
+        return Math.min(Math.max(period, min), max);
+    };
+
+    // Indicators are computed on the whole series and the first `offset` points are
+    // dropped afterwards, so a chart that shows only the latest days still starts
+    // with warmed-up values.
+    const buildIndicatorDatasets = (selection, values, dates, timeline, offset = 0) =>
+        selection.flatMap(({ id, period }) => {
+            const definition = INDICATORS[id];
+            return definition.compute(values, period).map(line => ({
+                type: "line",
+                label: line.label,
+                data: withMissingDayGaps(toCalendarPoints(dates, line.values.slice(offset)), timeline),
+                yAxisID: INDICATOR_AXES[definition.axis]?.id ?? "y",
+                borderColor: INDICATOR_COLORS[id],
+                borderDash: line.key === "middle" ? [4, 4] : [],
+                borderWidth: line.key === "upper" || line.key === "lower" ? 1 : 2,
+                tension: 0.25,
+                pointRadius: 0,
+                fill: false
+            }));
+        });
+
+    const indicatorScales = (selection, tickColor) => {
+        const scales = {};
+        selection.forEach(({ id }) => {
+            const axis = INDICATOR_AXES[INDICATORS[id].axis];
+            if (!axis || scales[axis.id]) return;
+            scales[axis.id] = {
+                position: "right",
+                min: axis.min,
+                max: axis.max,
+                grid: {
+                    drawOnChartArea: false
+                },
+                title: {
+                    display: true,
+                    text: axis.title,
+                    color: tickColor
+                },
+                ticks: {
+                    color: tickColor,
+                    callback: value => DECIMAL_FORMAT.format(value)
+                }
+            };
+        });
+        return scales;
+    };
+
+    // Checkbox-and-period list for the indicators of one chart. Choices are kept
+    // per chart in localStorage.
+    class IndicatorPicker {
+        constructor(scope, ids, onChange) {
+            this.scope = scope;
+            this.ids = ids.filter(id => INDICATORS[id]);
+            this.onChange = onChange;
+            this.settings = this.load();
+            this.elements = {
+                root: document.querySelector(`[data-indicator-picker="${scope}"]`)
+            };
+            this.elements.list = this.elements.root?.querySelector("[data-indicator-list]") ?? null;
+        }
+
+        init() {
+            if (!this.elements.list) return;
+            this.render();
+            this.elements.list.addEventListener("change", event => {
+                const option = event.target.closest("[data-indicator]");
+                if (!option) return;
+                const id = option.dataset.indicator;
+                const setting = this.settings[id];
+                if (event.target.type === "checkbox") {
+                    setting.enabled = event.target.checked;
+                } else {
+                    setting.period = clampPeriod(event.target.value, setting.period);
+                    event.target.value = setting.period;
+                    setting.enabled = true;
+                    option.querySelector("input[type=checkbox]").checked = true;
+                }
+                this.save();
+                this.updateSummary();
+                if (typeof this.onChange === "function") this.onChange(this.selection);
+            });
+        }
+
+        get selection() {
+            return this.ids
+                .filter(id => this.settings[id].enabled)
+                .map(id => ({ id, period: this.settings[id].period }));
+        }
+
+        load() {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY) ?? "{}")?.[this.scope] ?? {};
+            } catch (error) {
+                stored = {};
+            }
+            return Object.fromEntries(
+                this.ids.map(id => {
+                    const { period } = INDICATORS[id];
+                    return [id, {
+                        enabled: Boolean(stored[id]?.enabled),
+                        period: period == null ? null : clampPeriod(stored[id]?.period, period)
+                    }];
+                })
+            );
+        }
+
+        save() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY) ?? "{}") ?? {};
+                stored[this.scope] = this.settings;
+                localStorage.setItem(INDICATOR_STORAGE_KEY, JSON.stringify(stored));
+            } catch (error) {
+                console.warn("ذخیرهٔ اندیکاتورها ممکن نشد.", error);
+            }
+        }
+
+        render() {
+            const [min, max] = INDICATOR_PERIOD_RANGE;
+            this.elements.list.innerHTML = this.ids
+                .map(id => {
+                    const definition = INDICATORS[id];
+                    const setting = this.settings[id];
+                    const period = definition.period == null
+                        ? ""
+                        : `<input type="number" min="${min}" max="${max}" step="1" value="${setting.period}" aria-label="دورهٔ ${definition.label}">`;
+                    return `
+                        <span class="indicator-option" data-indicator="${id}">
+                            <label>
+                                <input type="checkbox"${setting.enabled ? " checked" : ""}>
+                                <span class="indicator-swatch" style="background:${INDICATOR_COLORS[id]}"></span>
+                                ${definition.label}
+                            </label>
+                            ${period}
+                        </span>
+                    `;
+                })
+                .join("");
+            this.updateSummary();
+        }
+
+        updateSummary() {
+            const count = this.elements.root?.querySelector("[data-indicator-count]");
+            if (!count) return;
+            const { selection } = this;
+            count.textContent = selection.length ? `(${NUMBER_FORMAT.format(selection.length)} فعال)` : "";
+            count.title = selection
+                .map(({ id, period }) => `${INDICATORS[id].label}${period ? ` ${period}` : ""}`)
+                .join("، ");
+        }
+    }
+
     class MarketView {
         constructor(repository) {
             this.repository = repository;
             this.chart = null;
+            this.breadthChart = null;
             this.series = [];
+            this.breadth = [];
+            this.asOfDate = null;
+            this.indicators = new IndicatorPicker("market", Object.keys(INDICATORS), () => {
+                if (this.series.length) this.renderChart();
+            });
             this.elements = {
                 buyValue: document.getElementById("marketBuyValue"),
                 buyChange: document.getElementById("marketBuyChange"),
@@ -290,22 +719,66 @@
                 trendLabel: document.getElementById("marketTrendLabel"),
                 trendWindow: document.getElementById("marketWindow"),
                 filtered: document.getElementById("marketFiltered"),
+                breadth: document.getElementById("marketBreadth"),
+                breadthWarning: document.getElementById("marketBreadthWarning"),
+                breadthStatus: document.getElementById("breadthStatus"),
                 volumeValue: document.getElementById("marketVolumeValue"),
                 volumeChange: document.getElementById("marketVolumeChange"),
                 symbolCount: document.getElementById("marketSymbolCount"),
                 dateCount: document.getElementById("marketDateCount"),
+                sourceStatus: document.getElementById("marketSourceStatus"),
+                sourceCount: document.getElementById("marketSourceCount"),
                 lastUpdate: document.getElementById("marketLastUpdate")
             };
         }
 
         init() {
-            this.series = this.repository.computeMarketSeries();
+            this.indicators.init();
+            this.render(this.repository.latestDate);
+        }
+
+        render(asOfDate) {
+            this.asOfDate = this.repository.resolveDate(asOfDate);
+            this.series = this.repository
+                .computeMarketSeries()
+                .filter(item => !this.asOfDate || item.date <= this.asOfDate);
+            this.breadth = this.repository
+                .computeBreadthSeries()
+                .filter(item => !this.asOfDate || item.date <= this.asOfDate);
             if (!this.series.length) {
+                this.destroyChart();
+                this.destroyBreadthChart();
                 this.showPlaceholder("marketChart", "هیچ داده‌ای برای ترسیم نمودار کل بازار یافت نشد.");
+                this.showPlaceholder("breadthChart", "هیچ داده‌ای برای ترسیم پهنای بازار یافت نشد.");
                 return;
             }
             this.renderStats();
+            this.renderBreadthStats();
             this.renderChart();
+            this.renderBreadthChart();
+        }
+
+        // The trend label follows the volume-weighted net; breadth counts every
+        // symbol once, so a few heavy names can push the two apart.
+        renderBreadthStats() {
+            const current = this.series[this.series.length - 1];
+            const day = this.breadth[this.breadth.length - 1];
+            const { breadth, breadthWarning, breadthStatus } = this.elements;
+            const percent = day?.advancingPercent;
+            if (breadth) {
+                breadth.textContent = percent == null
+                    ? "پهنای بازار: نامشخص"
+                    : `پهنا: ${NUMBER_FORMAT.format(day.advancing)} از ${NUMBER_FORMAT.format(day.counted)} نماد خرید غالب (${percent.toFixed(1)}٪)`;
+            }
+            if (breadthStatus) {
+                breadthStatus.textContent = day ? `${formatDateLabel(day.date)} — ${NUMBER_FORMAT.format(day.counted)} نماد` : "";
+            }
+            if (!breadthWarning) return;
+            const disagrees = breadthDisagrees(percent, current.net);
+            breadthWarning.hidden = !disagrees;
+            breadthWarning.textContent = disagrees
+                ? `ناهمسویی پهنا: ${percent.toFixed(1)}٪ نمادها خرید غالب دارند، اما خالص وزنی ${flowDirection(current.net) > 0 ? "ورود" : "خروج"} پول هوشمند را نشان می‌دهد؛ جهت کل بازار را چند نماد پرحجم تعیین کرده‌اند.`
+                : "";
         }
 
         renderStats() {
@@ -321,10 +794,11 @@
             this.updateValue(this.elements.netValue, current.net);
             this.updateChange(this.elements.netChange, current.net, previous?.net);
 
+            const flow = flowDirection(current.net);
             this.elements.trendLabel.textContent =
-                current.net > 0 ? "خروج پول هوشمند" : current.net < 0 ? "ورود پول هوشمند" : "خنثی";
+                flow < 0 ? "خروج پول هوشمند" : flow > 0 ? "ورود پول هوشمند" : "خنثی";
             this.elements.trendLabel.style.color =
-                current.net < 0 ? CHART_COLORS.buy : current.net > 0 ? CHART_COLORS.sell : CHART_COLORS.neutral;
+                flow > 0 ? CHART_COLORS.buy : flow < 0 ? CHART_COLORS.sell : CHART_COLORS.neutral;
 
             this.elements.trendWindow.textContent = NUMBER_FORMAT.format(Math.min(this.series.length, MAX_MARKET_POINTS));
             this.elements.filtered.textContent = NUMBER_FORMAT.format(current.filtered);
@@ -334,7 +808,30 @@
 
             this.elements.symbolCount.textContent = `${NUMBER_FORMAT.format(current.symbols)} نماد`;
             this.elements.dateCount.textContent = NUMBER_FORMAT.format(this.series.length);
-            this.elements.lastUpdate.textContent = formatDateLabel(this.repository.latestDate);
+            this.elements.lastUpdate.textContent =
+                JalaliCalendar.format(current.date, { long: true }) ?? formatDateLabel(current.date);
+            this.renderSources();
+        }
+
+        renderSources() {
+            const sources = this.repository.sources;
+            if (!this.elements.sourceCount || !sources.length) return;
+
+            const loaded = sources.filter(source => source.status === "loaded");
+            const failed = sources.filter(source => source.status === "failed");
+            this.elements.sourceCount.textContent =
+                `${NUMBER_FORMAT.format(loaded.length)} از ${NUMBER_FORMAT.format(sources.length)}`;
+
+            if (this.elements.sourceStatus) {
+                this.elements.sourceStatus.classList.toggle("has-error", failed.length > 0);
+                this.elements.sourceStatus.title = sources
+                    .map(source =>
+                        source.status === "loaded"
+                            ? `✔ ${source.file} (${NUMBER_FORMAT.format(source.records)} رکورد)`
+                            : `✖ ${source.file}: ${source.error}`
+                    )
+                    .join("\n");
+            }
         }
 
         updateValue(target, value) {
@@ -364,12 +861,22 @@
         renderChart() {
             const canvas = document.getElementById("marketChart");
             if (!canvas) return;
+            clearCanvasPlaceholder(canvas);
 
             const limitedSeries = this.series.slice(-MAX_MARKET_POINTS);
-            const labels = limitedSeries.map(item => formatDateLabel(item.date));
-            const netData = limitedSeries.map(item => item.net);
-            const buyData = limitedSeries.map(item => item.buy);
-            const sellData = limitedSeries.map(item => item.sell);
+            const dates = limitedSeries.map(item => item.date);
+            const timeline = buildCalendarTimeline(dates);
+            const netData = toCalendarPoints(dates, limitedSeries.map(item => item.net));
+            const buyData = withMissingDayGaps(toCalendarPoints(dates, limitedSeries.map(item => item.buy)), timeline);
+            const sellData = withMissingDayGaps(toCalendarPoints(dates, limitedSeries.map(item => item.sell)), timeline);
+            const { selection } = this.indicators;
+            const indicatorData = buildIndicatorDatasets(
+                selection,
+                this.series.map(item => item.net),
+                dates,
+                timeline,
+                this.series.length - limitedSeries.length
+            );
 
             this.destroyChart();
 
@@ -381,14 +888,14 @@
 
             this.chart = new Chart(context, {
                 type: "bar",
+                plugins: [CALENDAR_BANDS_PLUGIN],
                 data: {
-                    labels,
                     datasets: [
                         {
                             type: "bar",
                             label: "خالص OI",
                             data: netData,
-                            backgroundColor: ctx => (ctx.raw ?? 0) < 0 ? CHART_COLORS.buy : CHART_COLORS.sell,
+                            backgroundColor: ctx => (ctx.raw?.y ?? 0) < 0 ? CHART_COLORS.buy : CHART_COLORS.sell,
                             borderRadius: 6,
                             borderSkipped: false,
                             borderWidth: 1,
@@ -413,7 +920,8 @@
                             borderColor: CHART_COLORS.sell,
                             borderWidth: 2,
                             pointRadius: 3
-                        }
+                        },
+                        ...indicatorData
                     ]
                 },
                 options: {
@@ -424,14 +932,7 @@
                         intersect: false
                     },
                     scales: {
-                        x: {
-                            grid: {
-                                color: "rgba(148, 163, 184, 0.08)"
-                            },
-                            ticks: {
-                                color: "#cbd5f5"
-                            }
-                        },
+                        x: calendarAxis(timeline, "#cbd5f5"),
                         y: {
                             grid: {
                                 color: "rgba(148, 163, 184, 0.05)"
@@ -440,9 +941,13 @@
                                 color: "#cbd5f5",
                                 callback: value => DECIMAL_FORMAT.format(value)
                             }
-                        }
+                        },
+                        ...indicatorScales(selection, "#cbd5f5")
                     },
                     plugins: {
+                        calendarBands: {
+                            bands: timeline.bands
+                        },
                         legend: {
                             labels: {
                                 color: "#d1d8f4"
@@ -456,6 +961,7 @@
                             titleColor: "#f8fafc",
                             bodyColor: "#e2e8f0",
                             callbacks: {
+                                title: calendarTooltipTitle,
                                 label: context => {
                                     const label = context.dataset.label || "";
                                     const value = context.parsed.y ?? context.parsed;
@@ -468,6 +974,130 @@
             });
         }
 
+        renderBreadthChart() {
+            const canvas = document.getElementById("breadthChart");
+            if (!canvas) return;
+            clearCanvasPlaceholder(canvas);
+
+            const limited = this.breadth.slice(-MAX_MARKET_POINTS);
+            const dates = limited.map(item => item.date);
+            const timeline = buildCalendarTimeline(dates);
+            const line = (label, key, color, extra = {}) => ({
+                type: "line",
+                label,
+                key,
+                data: withMissingDayGaps(toCalendarPoints(dates, limited.map(item => item[key])), timeline),
+                tension: 0.3,
+                fill: false,
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 2,
+                ...extra
+            });
+
+            this.destroyBreadthChart();
+            this.breadthChart = new Chart(canvas.getContext("2d"), {
+                type: "line",
+                plugins: [CALENDAR_BANDS_PLUGIN],
+                data: {
+                    datasets: [
+                        line("نمادهای خرید غالب (٪)", "advancingPercent", CHART_COLORS.buy),
+                        line("P/M مثبت (٪)", "positivePmShare", "#a78bfa"),
+                        line("سهم حجم خرید غالب (٪)", "buyVolumeShare", CHART_COLORS.ma),
+                        line("خط پیشرو/پس‌رو", "adLine", CHART_COLORS.net, { yAxisID: "yAd", borderDash: [6, 4] })
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        mode: "index",
+                        intersect: false
+                    },
+                    scales: {
+                        x: calendarAxis(timeline, "#cbd5f5"),
+                        y: {
+                            min: 0,
+                            max: 100,
+                            grid: {
+                                color: "rgba(148, 163, 184, 0.05)"
+                            },
+                            ticks: {
+                                color: "#cbd5f5",
+                                callback: value => `${NUMBER_FORMAT.format(value)}٪`
+                            }
+                        },
+                        yAd: {
+                            position: "right",
+                            grid: {
+                                display: false
+                            },
+                            ticks: {
+                                color: CHART_COLORS.net,
+                                callback: value => NUMBER_FORMAT.format(value)
+                            }
+                        }
+                    },
+                    plugins: {
+                        calendarBands: {
+                            bands: timeline.bands
+                        },
+                        legend: {
+                            labels: {
+                                color: "#d1d8f4"
+                            }
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                title: calendarTooltipTitle,
+                                label: context => {
+                                    const { key, label } = context.dataset;
+                                    if (key === "adLine") return `${label}: ${NUMBER_FORMAT.format(context.parsed.y)}`;
+                                    const text = `${label}: ${DECIMAL_FORMAT.format(context.parsed.y)}`;
+                                    if (key !== "advancingPercent") return text;
+                                    const day = limited.find(item => item.date === dates[context.dataIndex]);
+                                    return day
+                                        ? `${text} (${NUMBER_FORMAT.format(day.advancing)} در برابر ${NUMBER_FORMAT.format(day.declining)})`
+                                        : text;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        exportTable() {
+            const breadth = new Map(this.breadth.map(item => [item.date, item]));
+            const schema = this.repository.getSchema(this.asOfDate ?? undefined);
+            return {
+                name: "market",
+                title: "سری کل بازار",
+                date: this.asOfDate,
+                columns: [
+                    { key: "date", label: "تاریخ" },
+                    { key: "buy", label: `${schema.labelOf("buy")} (وزنی)` },
+                    { key: "sell", label: `${schema.labelOf("sell")} (وزنی)` },
+                    { key: "net", label: `${schema.labelOf("net")} (وزنی)` },
+                    { key: "volume", label: `مجموع ${schema.labelOf("volume7")}` },
+                    { key: "symbols", label: "تعداد نماد" },
+                    { key: "filtered", label: "نمادهای عبورکرده از فیلتر" },
+                    { key: "advancing", label: "نمادهای خرید غالب" },
+                    { key: "declining", label: "نمادهای فروش غالب" },
+                    { key: "advancingPercent", label: "٪ خرید غالب" },
+                    { key: "adLine", label: "خط پیشرو/پس‌رو" },
+                    { key: "positivePmShare", label: "٪ P/M مثبت" },
+                    { key: "buyVolumeShare", label: "٪ حجم خرید غالب" }
+                ],
+                rows: this.series.map(item => ({ ...breadth.get(item.date), ...item, date: formatDateLabel(item.date) }))
+            };
+        }
+
         destroyChart() {
             if (this.chart) {
                 this.chart.destroy();
@@ -475,293 +1105,264 @@
             }
         }
 
+        destroyBreadthChart() {
+            if (this.breadthChart) {
+                this.breadthChart.destroy();
+                this.breadthChart = null;
+            }
+        }
+
         resize() {
             if (this.chart) {
                 this.chart.resize();
             }
+            if (this.breadthChart) {
+                this.breadthChart.resize();
+            }
         }
 
         showPlaceholder(canvasId, message) {
-            const canvas = document.getElementById(canvasId);
-            if (!canvas) return;
-            const parent = canvas.parentElement;
-            parent.innerHTML = `<div class="empty-state">${message}</div>`;
+            showCanvasPlaceholder(document.getElementById(canvasId), message);
         }
     }
 
-    class SymbolView {
-        constructor(repository) {
-            this.repository = repository;
-            this.symbols = [];
-            this.filteredSymbols = [];
-            this.currentSymbol = null;
-            this.currentMA = DEFAULT_MA;
-            this.chart = null;
+    const SYMBOL_TABLE_ROW_HEIGHT = 46;
+    const SYMBOL_TABLE_OVERSCAN = 8;
+    const SYMBOL_TABLE_STORAGE_KEY = "iranoi.symbolTable.columns";
 
-            this.elements = {
-                tableBody: document.getElementById("symbolTableBody"),
-                totalCount: document.getElementById("symbolTotalCount"),
-                displayedCount: document.getElementById("symbolDisplayedCount"),
-                searchInput: document.getElementById("symbolSearchInput"),
-                chartCanvas: document.getElementById("symbolChart"),
-                chartTitle: document.getElementById("symbolChartTitle"),
-                chartStatus: document.getElementById("symbolChartStatus"),
-                maChips: Array.from(document.querySelectorAll(".ma-chip")),
-                summary: {
-                    net: document.getElementById("symbolNetAvg"),
-                    buy: document.getElementById("symbolBuyAvg"),
-                    sell: document.getElementById("symbolSellAvg"),
-                    volume7: document.getElementById("symbolVolume7Avg"),
-                    volume21: document.getElementById("symbolVolume21Avg"),
-                    latestDate: document.getElementById("symbolLatestDate"),
-                    details: document.getElementById("symbolDetailsList")
-                }
-            };
-        }
+    const formatFixed = digits => value => (value == null ? "—" : Number(value).toFixed(digits));
 
-        init() {
-            this.symbols = this.repository.getLatestRecords();
-            this.filteredSymbols = [...this.symbols];
-            this.updateCounters();
+    const SYMBOL_TABLE_COLUMNS = Object.freeze([
+        { id: "symbol", label: "نماد", type: "text", visible: true, locked: true },
+        { id: "pmRatio", metric: "pmRatio", format: formatFixed(2), visible: true },
+        { id: "priceGap", metric: "priceGap", format: value => (value == null ? "—" : `${value.toFixed(2)}٪`), visible: true },
+        { id: "risk", metric: "risk", badge: true, visible: true },
+        { id: "volume7", metric: "volume7", format: value => NUMBER_FORMAT.format(Math.round(value ?? 0)), visible: true },
+        { id: "volume21", metric: "volume21", format: value => NUMBER_FORMAT.format(Math.round(value ?? 0)), visible: true },
+        { id: "buyRatio", metric: "buyRatio", format: formatFixed(2), visible: false },
+        { id: "sellRatio", metric: "sellRatio", format: formatFixed(2), visible: false },
+        { id: "net", metric: "net", format: formatFixed(3), visible: false }
+    ]);
 
-            this.bindEvents();
-            this.renderTable();
+    const RISK_SETTINGS_KEY = "iranoi.riskClassification";
+    const RISK_HISTOGRAM_BINS = 24;
+    const RISK_BUCKETS = Object.freeze([
+        { id: "low", label: "ریسک کم", className: "badge low", color: "rgba(34, 197, 94, 0.7)" },
+        { id: "medium", label: "ریسک متوسط", className: "badge medium", color: "rgba(250, 204, 21, 0.7)" },
+        { id: "high", label: "ریسک بالا", className: "badge high", color: "rgba(239, 68, 68, 0.7)" }
+    ]);
+    const DEFAULT_RISK_SETTINGS = Object.freeze({
+        mode: "quantile",
+        lower: -35,
+        upper: -15,
+        higherIsRiskier: true
+    });
 
-            if (this.filteredSymbols.length) {
-                this.handleSymbolSelect(resolveSymbol(this.filteredSymbols[0]));
-            } else {
-                this.showChartPlaceholder("برای مشاهده نمودار، نمادی با دادهٔ معتبر در فایل وجود ندارد.");
-            }
-        }
+    const quantile = (sorted, fraction) => {
+        if (!sorted.length) return null;
+        const position = (sorted.length - 1) * fraction;
+        const base = Math.floor(position);
+        const rest = position - base;
+        return sorted[base + 1] != null ? sorted[base] + rest * (sorted[base + 1] - sorted[base]) : sorted[base];
+    };
 
-        bindEvents() {
-            if (this.elements.searchInput) {
-                this.elements.searchInput.addEventListener("input", event => {
-                    const query = normalizeText(event.target.value ?? "");
-                    this.filterSymbols(query);
-                });
-            }
+    // Buckets numeric risk either by fixed thresholds or by the terciles of the
+    // selected day's cross-section; text values keep the keyword-based badge.
+    class RiskClassifier {
+        constructor(settings = {}) {
+            this.settings = { ...DEFAULT_RISK_SETTINGS, ...settings };
+            this.values = [];
+            this.date = null;
+            this.cuts = [this.settings.lower, this.settings.upper];
+        }
 
-            this.elements.maChips.forEach(chip => {
-                chip.addEventListener("click", () => {
-                    const period = Number(chip.dataset.ma) || DEFAULT_MA;
-                    if (period === this.currentMA) return;
+        configure(settings) {
+            this.settings = { ...this.settings, ...settings };
+            this.updateCuts();
+        }
 
-                    this.currentMA = period;
-                    this.elements.maChips.forEach(btn => btn.classList.toggle("is-active", btn === chip));
-                    if (this.currentSymbol) {
-                        this.updateChart();
-                    }
-                });
-            });
+        fit(values, date = null) {
+            this.values = values.map(value => toNumberOrNull(value)).filter(value => value != null).sort((a, b) => a - b);
+            this.date = date;
+            this.updateCuts();
         }
 
-        filterSymbols(query) {
-            if (!query) {
-                this.filteredSymbols = [...this.symbols];
+        updateCuts() {
+            const { mode, lower, upper } = this.settings;
+            if (mode === "quantile" && this.values.length) {
+                this.cuts = [quantile(this.values, 1 / 3), quantile(this.values, 2 / 3)];
             } else {
-                this.filteredSymbols = this.symbols.filter(item =>
-                    normalizeText(resolveSymbol(item)).includes(query)
-                );
+                this.cuts = [Math.min(lower, upper), Math.max(lower, upper)];
             }
+        }
 
-            this.renderTable();
-            this.updateCounters();
+        bucketIndex(value) {
+            const [lower, upper] = this.cuts;
+            const index = value < lower ? 0 : value < upper ? 1 : 2;
+            return this.settings.higherIsRiskier ? index : 2 - index;
+        }
 
-            if (this.currentSymbol) {
-                const stillVisible = this.filteredSymbols.some(
-                    item => normalizeText(resolveSymbol(item)) === normalizeText(this.currentSymbol)
-                );
-                if (!stillVisible) {
-                    this.currentSymbol = null;
-                    this.showChartPlaceholder("نماد انتخابی در فیلتر فعلی وجود ندارد.");
-                    this.resetSummary();
-                }
-            }
+        describeRange(value) {
+            const [lower, upper] = this.cuts.map(cut => cut.toFixed(2));
+            if (value < this.cuts[0]) return `کمتر از ${lower}`;
+            if (value < this.cuts[1]) return `بین ${lower} و ${upper}`;
+            return `${upper} یا بیشتر`;
         }
 
-        updateCounters() {
-            if (this.elements.totalCount) {
-                this.elements.totalCount.textContent = NUMBER_FORMAT.format(this.symbols.length);
-            }
-            if (this.elements.displayedCount) {
-                this.elements.displayedCount.textContent = NUMBER_FORMAT.format(this.filteredSymbols.length);
+        describeBasis() {
+            if (this.settings.mode === "quantile" && this.values.length) {
+                return `یک‌سوم‌های توزیع ${NUMBER_FORMAT.format(this.values.length)} نماد در ${formatDateLabel(this.date)}`;
             }
+            return "آستانه‌های ثابت تنظیم‌شده";
         }
 
-        renderTable() {
-            if (!this.elements.tableBody) return;
-
-            if (!this.filteredSymbols.length) {
-                this.elements.tableBody.innerHTML = `
-                    <tr>
-                        <td colspan="6">نمادی مطابق جست‌وجوی شما یافت نشد.</td>
-                    </tr>
-                `;
-                return;
+        classify(value) {
+            const number = toNumberOrNull(value);
+            if (number == null) {
+                return { ...resolveRiskBadge(value), title: "", bucket: null };
             }
+            const bucket = RISK_BUCKETS[this.bucketIndex(number)];
+            return {
+                text: number.toFixed(2),
+                className: bucket.className,
+                title: `${bucket.label}: مقدار ${this.describeRange(number)} است (بر اساس ${this.describeBasis()})`,
+                bucket
+            };
+        }
+    }
 
-            this.elements.tableBody.innerHTML = this.filteredSymbols
-                .map(item => {
-                    const symbol = resolveSymbol(item) || "—";
-                    const pm = item.pm_ratio != null ? Number(item.pm_ratio).toFixed(2) : "—";
-                    const diff = item.first_ceiling_diff_percent != null
-                        ? `${Number(item.first_ceiling_diff_percent).toFixed(2)}٪`
-                        : "—";
-                    const risk = resolveRiskBadge(item.risk_level ?? item.risk);
-                    const volume7 = NUMBER_FORMAT.format(Math.round(Number(item.volume_7days ?? 0)));
-                    const volume21 = NUMBER_FORMAT.format(Math.round(Number(item.volume_21days ?? 0)));
+    class RiskView {
+        constructor(classifier, symbolView) {
+            this.classifier = classifier;
+            this.symbolView = symbolView;
+            this.chart = null;
+            this.elements = {
+                mode: document.getElementById("riskMode"),
+                lower: document.getElementById("riskLower"),
+                upper: document.getElementById("riskUpper"),
+                direction: document.getElementById("riskDirection"),
+                cuts: document.getElementById("riskCuts"),
+                canvas: document.getElementById("riskHistogram")
+            };
+        }
 
-                    return `
-                        <tr data-symbol="${symbol}">
-                            <td>${symbol}</td>
-                            <td>${pm}</td>
-                            <td>${diff}</td>
-                            <td><span class="${risk.className}">${risk.text}</span></td>
-                            <td>${volume7}</td>
-                            <td>${volume21}</td>
-                        </tr>
-                    `;
-                })
-                .join("");
+        init() {
+            const { mode, lower, upper, direction } = this.elements;
+            if (!mode) return;
 
-            Array.from(this.elements.tableBody.querySelectorAll("tr")).forEach(row => {
-                row.addEventListener("click", () => {
-                    const symbol = row.getAttribute("data-symbol");
-                    this.handleSymbolSelect(symbol);
-                });
-            });
+            const { settings } = this.classifier;
+            mode.value = settings.mode;
+            lower.value = settings.lower;
+            upper.value = settings.upper;
+            direction.value = settings.higherIsRiskier ? "higher" : "lower";
 
-            this.highlightActiveRow();
+            [mode, lower, upper, direction].forEach(control =>
+                control.addEventListener("change", () => this.handleSettingsChange())
+            );
+            this.render();
         }
 
-        handleSymbolSelect(symbol) {
-            if (!symbol) return;
-
-            this.currentSymbol = symbol;
-            this.highlightActiveRow();
-
-            if (this.elements.chartTitle) {
-                this.elements.chartTitle.textContent = `نمودار OI نماد ${symbol}`;
+        static loadSettings() {
+            try {
+                return JSON.parse(localStorage.getItem(RISK_SETTINGS_KEY) ?? "{}") ?? {};
+            } catch (error) {
+                return {};
             }
-            if (this.elements.chartStatus) {
-                this.elements.chartStatus.textContent = "داده‌ها در حال بارگذاری هستند...";
-            }
-
-            this.updateChart();
-            this.updateSummary();
         }
 
-        highlightActiveRow() {
-            const rows = Array.from(this.elements.tableBody?.querySelectorAll("tr") ?? []);
-            rows.forEach(row =>
-                row.classList.toggle(
-                    "is-active",
-                    normalizeText(row.dataset.symbol) === normalizeText(this.currentSymbol)
-                )
-            );
+        handleSettingsChange() {
+            const { mode, lower, upper, direction } = this.elements;
+            const settings = {
+                mode: mode.value,
+                lower: toNumberOrNull(lower.value) ?? DEFAULT_RISK_SETTINGS.lower,
+                upper: toNumberOrNull(upper.value) ?? DEFAULT_RISK_SETTINGS.upper,
+                higherIsRiskier: direction.value === "higher"
+            };
+            this.classifier.configure(settings);
+            try {
+                localStorage.setItem(RISK_SETTINGS_KEY, JSON.stringify(settings));
+            } catch (error) {
+                console.warn("ذخیرهٔ تنظیمات ریسک ممکن نشد.", error);
+            }
+            this.symbolView.refresh();
+            this.render();
         }
 
-        updateChart() {
-            if (!this.elements.chartCanvas) return;
+        render() {
+            const { canvas, cuts, lower, upper, mode } = this.elements;
+            const isQuantile = mode?.value === "quantile";
+            if (lower) lower.disabled = isQuantile;
+            if (upper) upper.disabled = isQuantile;
+            if (cuts) {
+                cuts.textContent = `مرزها: ${this.classifier.cuts.map(cut => cut.toFixed(2)).join(" و ")} — ${this.classifier.describeBasis()}`;
+            }
+            if (!canvas) return;
 
-            const history = this.repository.getSymbolHistory(this.currentSymbol);
-            if (!history.length) {
-                this.showChartPlaceholder("برای این نماد تاریخچهٔ کافی در فایل داده وجود ندارد.");
-                this.resetSummary();
+            const values = this.classifier.values;
+            if (!values.length) {
+                this.destroyChart();
+                showCanvasPlaceholder(canvas, "مقدار عددی ریسک برای این تاریخ وجود ندارد.");
                 return;
             }
+            clearCanvasPlaceholder(canvas);
 
-            const labels = history.map(item => formatDateLabel(item.date));
-            const buyData = history.map(item => item.buy);
-            const sellData = history.map(item => item.sell);
-            const netData = history.map(item => item.net);
-            const maData = this.calculateMovingAverage(netData, this.currentMA);
+            const min = values[0];
+            const max = values[values.length - 1];
+            const width = (max - min) / RISK_HISTOGRAM_BINS || 1;
+            const bins = Array.from({ length: RISK_HISTOGRAM_BINS }, (_, index) => ({
+                from: min + index * width,
+                to: min + (index + 1) * width,
+                count: 0
+            }));
+            values.forEach(value => {
+                const index = Math.min(Math.floor((value - min) / width), RISK_HISTOGRAM_BINS - 1);
+                bins[index].count += 1;
+            });
 
             this.destroyChart();
-
-            const ctx = this.elements.chartCanvas.getContext("2d");
-            this.chart = new Chart(ctx, {
+            this.chart = new Chart(canvas.getContext("2d"), {
                 type: "bar",
                 data: {
-                    labels,
+                    labels: bins.map(bin => bin.from.toFixed(1)),
                     datasets: [
                         {
-                            type: "bar",
-                            label: "OI خریداران",
-                            data: buyData,
-                            backgroundColor: "rgba(34, 197, 94, 0.55)",
-                            borderRadius: 5,
-                            borderWidth: 1,
-                            borderColor: "rgba(34, 197, 94, 0.4)"
-                        },
-                        {
-                            type: "bar",
-                            label: "OI فروشندگان",
-                            data: sellData,
-                            backgroundColor: "rgba(239, 68, 68, 0.55)",
-                            borderRadius: 5,
-                            borderWidth: 1,
-                            borderColor: "rgba(239, 68, 68, 0.4)"
-                        },
-                        {
-                            type: "line",
-                            label: "خالص OI",
-                            data: netData,
-                            borderColor: CHART_COLORS.net,
-                            borderWidth: 2,
-                            tension: 0.35,
-                            pointRadius: 3,
-                            fill: false
-                        },
-                        {
-                            type: "line",
-                            label: `میانگین ${this.currentMA} روزه`,
-                            data: maData,
-                            borderColor: CHART_COLORS.ma,
-                            borderDash: [6, 4],
-                            borderWidth: 2,
-                            tension: 0.25,
-                            pointRadius: 0,
-                            fill: false
+                            label: "تعداد نماد",
+                            data: bins.map(bin => bin.count),
+                            backgroundColor: bins.map(bin => this.classifier.classify((bin.from + bin.to) / 2).bucket.color),
+                            borderRadius: 4,
+                            barPercentage: 1,
+                            categoryPercentage: 0.95
                         }
                     ]
                 },
                 options: {
                     responsive: true,
                     maintainAspectRatio: false,
-                    interaction: {
-                        mode: "index",
-                        intersect: false
-                    },
                     scales: {
                         x: {
-                            stacked: false,
                             grid: {
-                                color: "rgba(148, 163, 184, 0.08)"
+                                display: false
                             },
                             ticks: {
-                                color: "#d1d8f4",
-                                autoSkip: true,
-                                maxRotation: 0
+                                color: "#cbd5f5",
+                                maxRotation: 0,
+                                autoSkip: true
                             }
                         },
                         y: {
-                            stacked: false,
                             grid: {
                                 color: "rgba(148, 163, 184, 0.08)"
                             },
                             ticks: {
-                                color: "#d1d8f4",
-                                callback: value => DECIMAL_FORMAT.format(value)
+                                color: "#cbd5f5",
+                                precision: 0,
+                                callback: value => NUMBER_FORMAT.format(value)
                             }
                         }
                     },
                     plugins: {
                         legend: {
-                            labels: {
-                                color: "#d1d8f4"
-                            }
+                            display: false
                         },
                         tooltip: {
                             backgroundColor: "rgba(11, 18, 36, 0.92)",
@@ -769,34 +1370,20 @@
                             borderWidth: 1,
                             padding: 12,
                             callbacks: {
+                                title: items => {
+                                    const bin = bins[items[0].dataIndex];
+                                    return `${bin.from.toFixed(2)} تا ${bin.to.toFixed(2)}`;
+                                },
                                 label: context => {
-                                    const value = context.parsed.y ?? context.parsed;
-                                    const label = context.dataset.label;
-                                    return `${label}: ${DECIMAL_FORMAT.format(value)}`;
+                                    const bin = bins[context.dataIndex];
+                                    const { bucket } = this.classifier.classify((bin.from + bin.to) / 2);
+                                    return `${bucket.label}: ${NUMBER_FORMAT.format(bin.count)} نماد`;
                                 }
                             }
                         }
                     }
                 }
             });
-
-            if (this.elements.chartStatus) {
-                this.elements.chartStatus.textContent = `${history.length} رکورد برای ${this.currentSymbol}`;
-            }
-        }
-
-        calculateMovingAverage(values, period) {
-            const output = [];
-            for (let i = 0; i < values.length; i += 1) {
-                if (i < period - 1) {
-                    output.push(null);
-                    continue;
-                }
-                const windowValues = values.slice(i - period + 1, i + 1);
-                const sum = windowValues.reduce((total, value) => total + (value ?? 0), 0);
-                output.push(sum / period);
-            }
-            return output;
         }
 
         destroyChart() {
@@ -806,100 +1393,4868 @@
             }
         }
 
-        updateSummary() {
-            const history = this.repository.getSymbolHistory(this.currentSymbol);
-            if (!history.length) {
-                this.resetSummary();
-                return;
+        resize() {
+            if (this.chart) {
+                this.chart.resize();
             }
+        }
+    }
 
-            const latest = history[history.length - 1];
-            const netAvg = history.reduce((sum, item) => sum + item.net, 0) / history.length;
-            const buyAvg = history.reduce((sum, item) => sum + item.buy, 0) / history.length;
-            const sellAvg = history.reduce((sum, item) => sum + item.sell, 0) / history.length;
-            const volume7Avg = history.reduce((sum, item) => sum + item.volume7, 0) / history.length;
-            const volume21Avg = history.reduce((sum, item) => sum + item.volume21, 0) / history.length;
+    class SymbolTable {
+        constructor(repository, riskClassifier, onSelect, watchlist = null) {
+            this.repository = repository;
+            this.riskClassifier = riskClassifier;
+            this.onSelect = onSelect;
+            this.watchlist = watchlist;
+            this.rows = [];
+            this.sorted = [];
+            this.sort = [];
+            this.activeKeys = new Set();
+            this.schema = null;
+            this.rowHeight = SYMBOL_TABLE_ROW_HEIGHT;
+            this.renderedRange = null;
+            this.scrollFrame = null;
+            this.visible = new Set(this.loadVisibleColumns());
+            this.elements = {
+                wrapper: document.getElementById("symbolTableWrapper"),
+                head: document.getElementById("symbolTableHead"),
+                body: document.getElementById("symbolTableBody"),
+                picker: document.getElementById("symbolColumnPicker")
+            };
+        }
 
-            this.elements.summary.net.textContent = DECIMAL_FORMAT.format(netAvg);
-            this.elements.summary.buy.textContent = DECIMAL_FORMAT.format(buyAvg);
-            this.elements.summary.sell.textContent = DECIMAL_FORMAT.format(sellAvg);
-            this.elements.summary.volume7.textContent = NUMBER_FORMAT.format(Math.round(volume7Avg));
-            this.elements.summary.volume21.textContent = NUMBER_FORMAT.format(Math.round(volume21Avg));
-            this.elements.summary.latestDate.textContent = formatDateLabel(latest.date);
+        init() {
+            const { wrapper, head, body, picker } = this.elements;
+            if (!body) return;
 
-            const latestRecord = this.symbols.find(
-                item => normalizeText(resolveSymbol(item)) === normalizeText(this.currentSymbol)
-            );
+            body.addEventListener("click", event => {
+                const row = event.target.closest("tr[data-symbol]");
+                if (row && this.watchlist && event.target.closest("[data-watch-toggle]")) {
+                    this.watchlist.toggle(row.dataset.symbol);
+                    return;
+                }
+                if (row && typeof this.onSelect === "function") {
+                    this.onSelect(row.dataset.symbol);
+                }
+            });
 
-            if (!latestRecord) {
-                this.elements.summary.details.innerHTML = "<p>اطلاعات تکمیلی در فایل داده موجود نیست.</p>";
-                return;
-            }
+            head?.addEventListener("click", event => {
+                const cell = event.target.closest("th[data-column]");
+                if (cell) this.toggleSort(cell.dataset.column, event.shiftKey);
+            });
 
-            const infoMap = [
-                ["P/M", latestRecord.pm_ratio != null ? Number(latestRecord.pm_ratio).toFixed(2) : "—"],
-                ["اختلاف سقف اول", latestRecord.first_ceiling_diff_percent != null
-                    ? `${Number(latestRecord.first_ceiling_diff_percent).toFixed(2)}٪`
-                    : "—"
-                ],
-                ["ریسک", latestRecord.risk_level ?? latestRecord.risk ?? "—"],
-                ["حجم امروز", NUMBER_FORMAT.format(Math.round(Number(latestRecord.volume ?? 0)))],
-                ["ورود پول حقیقی", DECIMAL_FORMAT.format(Number(latestRecord.real_money_flow ?? 0))],
-                ["قدرت خریدار", DECIMAL_FORMAT.format(Number(latestRecord.buy_ratio ?? 0))]
-            ];
+            picker?.addEventListener("change", event => {
+                const input = event.target.closest("input[data-column]");
+                if (!input) return;
+                if (input.checked) {
+                    this.visible.add(input.dataset.column);
+                } else {
+                    this.visible.delete(input.dataset.column);
+                }
+                this.saveVisibleColumns();
+                this.renderHead();
+                this.renderBody(true);
+            });
 
-            this.elements.summary.details.innerHTML = `
-                <dl>
-                    ${infoMap
-                        .map(([key, value]) => `<dt>${key}</dt><dd>${value}</dd>`)
-                        .join("")}
-                </dl>
-            `;
+            wrapper?.addEventListener("scroll", () => {
+                if (this.scrollFrame) return;
+                this.scrollFrame = requestAnimationFrame(() => {
+                    this.scrollFrame = null;
+                    this.renderBody();
+                });
+            });
         }
 
-        resetSummary() {
-            this.elements.summary.net.textContent = "0.000";
-            this.elements.summary.buy.textContent = "0.000";
-            this.elements.summary.sell.textContent = "0.000";
-            this.elements.summary.volume7.textContent = "0";
-            this.elements.summary.volume21.textContent = "0";
-            this.elements.summary.latestDate.textContent = "—";
-            this.elements.summary.details.innerHTML = "<p>نمادی انتخاب نشده است.</p>";
+        loadVisibleColumns() {
+            const defaults = SYMBOL_TABLE_COLUMNS.filter(column => column.visible).map(column => column.id);
+            try {
+                const stored = JSON.parse(localStorage.getItem(SYMBOL_TABLE_STORAGE_KEY) ?? "null");
+                return Array.isArray(stored) ? ["symbol", ...stored] : defaults;
+            } catch (error) {
+                return defaults;
+            }
         }
 
-        showChartPlaceholder(message) {
-            const canvas = this.elements.chartCanvas;
-            if (!canvas) return;
-            const parent = canvas.parentElement;
-            parent.innerHTML = `<div class="empty-state">${message}</div>`;
+        saveVisibleColumns() {
+            try {
+                const ids = [...this.visible].filter(id => id !== "symbol");
+                localStorage.setItem(SYMBOL_TABLE_STORAGE_KEY, JSON.stringify(ids));
+            } catch (error) {
+                console.warn("ذخیرهٔ ستون‌های جدول ممکن نشد.", error);
+            }
         }
-    }
 
-    class TopSymbolsView {
-        constructor(repository) {
-            this.repository = repository;
-            this.chart = null;
+        get columns() {
+            return SYMBOL_TABLE_COLUMNS.filter(column => column.locked || this.visible.has(column.id));
         }
 
-        init() {
-            const records = this.repository.getLatestRecords();
-            const dateLabel = document.getElementById("topSymbolsDate");
-            if (dateLabel) {
-                dateLabel.textContent = formatDateLabel(this.repository.latestDate);
-            }
+        labelOf(column) {
+            return column.metric ? this.schema?.labelOf(column.metric) ?? column.metric : column.label;
+        }
 
-            if (!records.length) {
-                this.showPlaceholder("topVolumeChart", "برای رسم نمودار ۱۰ نماد پرحجم، داده‌ای موجود نیست.");
-                return;
+        setSchema(schema) {
+            this.schema = schema;
+            this.renderPicker();
+            this.renderHead();
+        }
+
+        setRows(rows) {
+            this.rows = rows;
+            this.applySort();
+            if (this.elements.wrapper) {
+                this.elements.wrapper.scrollTop = 0;
             }
+            this.renderBody(true);
+        }
+
+        setActive(symbols) {
+            this.activeKeys = new Set((Array.isArray(symbols) ? symbols : [symbols]).filter(Boolean).map(normalizeText));
+            this.elements.body?.querySelectorAll("tr[data-symbol]").forEach(row =>
+                row.classList.toggle("is-active", this.activeKeys.has(normalizeText(row.dataset.symbol)))
+            );
+        }
 
-            const sorted = records
-                .filter(item => Number(item.volume_7days ?? item.volume ?? 0) > 0)
-                .sort((a, b) => (Number(b.volume_7days ?? b.volume ?? 0) || 0) - (Number(a.volume_7days ?? a.volume ?? 0) || 0))
-                .slice(0, TOP_SYMBOL_LIMIT);
+        scrollTo(symbol) {
+            const { wrapper } = this.elements;
+            const key = normalizeText(symbol);
+            const index = this.sorted.findIndex(item => normalizeText(resolveSymbol(item)) === key);
+            if (!wrapper || index < 0) return;
+            wrapper.scrollTop = Math.max(0, index * this.rowHeight - wrapper.clientHeight / 3);
+            this.renderBody(true);
+        }
 
-            if (!sorted.length) {
-                this.showPlaceholder("topVolumeChart", "هیچ نمادی شرایط حجم موثر را نداشت.");
-                return;
-            }
+        // Visible columns in the current sort order, with raw (unformatted) values.
+        exportTable() {
+            const columns = this.columns.map(column => ({ key: column.metric ?? column.id, label: this.labelOf(column), column }));
+            return {
+                columns,
+                rows: this.sorted.map(item =>
+                    Object.fromEntries(columns.map(({ key, column }) => [key, this.valueOf(item, column) ?? null]))
+                )
+            };
+        }
 
+        toggleSort(columnId, additive) {
+            const existing = this.sort.find(entry => entry.id === columnId);
+            if (additive) {
+                if (existing) {
+                    existing.direction = existing.direction === "asc" ? "desc" : "asc";
+                } else {
+                    this.sort.push({ id: columnId, direction: "desc" });
+                }
+            } else if (existing && this.sort[0] === existing) {
+                existing.direction = existing.direction === "asc" ? "desc" : "asc";
+                this.sort = [existing, ...this.sort.slice(1)];
+            } else {
+                this.sort = [{ id: columnId, direction: columnId === "symbol" ? "asc" : "desc" }];
+            }
+            this.applySort();
+            this.renderHead();
+            this.renderBody(true);
+        }
+
+        valueOf(item, column) {
+            if (column.id === "symbol") return resolveSymbol(item);
+            return this.repository.read(item)[column.metric] ?? null;
+        }
+
+        applySort() {
+            const criteria = this.sort
+                .map(entry => ({ ...entry, column: SYMBOL_TABLE_COLUMNS.find(column => column.id === entry.id) }))
+                .filter(entry => entry.column);
+            if (!criteria.length) {
+                this.sorted = [...this.rows];
+                return;
+            }
+
+            const compareValues = (a, b) => {
+                if (a == null && b == null) return 0;
+                if (a == null) return 1;
+                if (b == null) return -1;
+                if (typeof a === "number" && typeof b === "number") return a - b;
+                return String(a).localeCompare(String(b), "fa");
+            };
+
+            this.sorted = [...this.rows].sort((left, right) => {
+                for (const { column, direction } of criteria) {
+                    const a = this.valueOf(left, column);
+                    const b = this.valueOf(right, column);
+                    if (a == null || b == null) {
+                        const nullOrder = compareValues(a, b);
+                        if (nullOrder) return nullOrder;
+                        continue;
+                    }
+                    const order = compareValues(a, b);
+                    if (order) return direction === "asc" ? order : -order;
+                }
+                return 0;
+            });
+        }
+
+        renderPicker() {
+            const { picker } = this.elements;
+            if (!picker) return;
+            const list = picker.querySelector("[data-column-list]") ?? picker;
+            list.innerHTML = SYMBOL_TABLE_COLUMNS.filter(column => !column.locked)
+                .filter(column => !column.metric || this.schema?.has(column.metric))
+                .map(column => `
+                    <label>
+                        <input type="checkbox" data-column="${column.id}" ${this.visible.has(column.id) ? "checked" : ""}>
+                        <span>${this.labelOf(column)}</span>
+                    </label>
+                `)
+                .join("");
+        }
+
+        renderHead() {
+            const { head } = this.elements;
+            if (!head) return;
+            head.innerHTML = `
+                <tr>
+                    ${this.columns
+                        .map(column => {
+                            const index = this.sort.findIndex(entry => entry.id === column.id);
+                            const entry = this.sort[index];
+                            const indicator = entry
+                                ? `<span class="sort-indicator">${entry.direction === "asc" ? "▲" : "▼"}${this.sort.length > 1 ? NUMBER_FORMAT.format(index + 1) : ""}</span>`
+                                : "";
+                            const ariaSort = index === 0 ? (entry.direction === "asc" ? "ascending" : "descending") : "none";
+                            return `<th data-column="${column.id}" aria-sort="${ariaSort}" title="کلیک: مرتب‌سازی، Shift+کلیک: مرتب‌سازی ثانویه">${this.labelOf(column)}${indicator}</th>`;
+                        })
+                        .join("")}
+                </tr>
+            `;
+        }
+
+        renderCell(item, column) {
+            const value = this.valueOf(item, column);
+            if (column.id === "symbol") {
+                if (!this.watchlist || !value) return `<td>${escapeHtml(value || "—")}</td>`;
+                const watched = this.watchlist.has(value);
+                const title = watched ? "حذف از دیده‌بان" : "افزودن به دیده‌بان";
+                return `<td><button type="button" class="watch-star${watched ? " is-on" : ""}" data-watch-toggle aria-pressed="${watched}" title="${title}">${watched ? "★" : "☆"}</button>${escapeHtml(value)}</td>`;
+            }
+            if (column.badge) {
+                const badge = this.riskClassifier.classify(value);
+                return `<td><span class="${badge.className}" title="${escapeHtml(badge.title)}">${escapeHtml(badge.text)}</span></td>`;
+            }
+            return `<td>${escapeHtml(column.format(value))}</td>`;
+        }
+
+        // Only the rows inside the scroll viewport (plus an overscan margin) are in
+        // the DOM; spacer rows keep the scrollbar height of the full list.
+        renderBody(force = false) {
+            const { body, wrapper } = this.elements;
+            if (!body) return;
+
+            const columns = this.columns;
+            if (!this.sorted.length) {
+                this.renderedRange = null;
+                body.innerHTML = `
+                    <tr>
+                        <td colspan="${columns.length}">نمادی مطابق جست‌وجوی شما یافت نشد.</td>
+                    </tr>
+                `;
+                return;
+            }
+
+            const viewport = wrapper?.clientHeight || this.rowHeight * 12;
+            const scrollTop = wrapper?.scrollTop ?? 0;
+            const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - SYMBOL_TABLE_OVERSCAN);
+            const end = Math.min(this.sorted.length, Math.ceil((scrollTop + viewport) / this.rowHeight) + SYMBOL_TABLE_OVERSCAN);
+            if (!force && this.renderedRange && this.renderedRange[0] === start && this.renderedRange[1] === end) return;
+            this.renderedRange = [start, end];
+
+            const spacer = height =>
+                height > 0 ? `<tr class="table-spacer" aria-hidden="true"><td colspan="${columns.length}" style="height:${height}px"></td></tr>` : "";
+
+            body.innerHTML = [
+                spacer(start * this.rowHeight),
+                ...this.sorted.slice(start, end).map(item => {
+                    const symbol = resolveSymbol(item) || "—";
+                    const activeClass = this.activeKeys.has(normalizeText(symbol)) ? ` class="is-active"` : "";
+                    return `<tr data-symbol="${escapeHtml(symbol)}"${activeClass}>${columns.map(column => this.renderCell(item, column)).join("")}</tr>`;
+                }),
+                spacer((this.sorted.length - end) * this.rowHeight)
+            ].join("");
+
+            const measured = body.querySelector("tr[data-symbol]")?.offsetHeight;
+            if (measured && Math.abs(measured - this.rowHeight) > 1) {
+                this.rowHeight = measured;
+                this.renderBody(true);
+            }
+        }
+    }
+
+    const SCREEN_STORAGE_KEY = "iranoi.screens";
+    const SCREEN_OPERATORS = Object.freeze({
+        ">": (a, b) => a > b,
+        ">=": (a, b) => a >= b,
+        "<": (a, b) => a < b,
+        "<=": (a, b) => a <= b,
+        "=": (a, b) => a === b,
+        "==": (a, b) => a === b,
+        "!=": (a, b) => a !== b
+    });
+    const SCREEN_KEYWORDS = Object.freeze({
+        and: "and", "&&": "and", "و": "and",
+        or: "or", "||": "or", "یا": "or",
+        not: "not", "!": "not"
+    });
+
+    const SCREEN_METRICS = new Set(Object.values(FIELD_SCHEMAS).flatMap(schema => Object.keys(schema.metrics)));
+    const SCREEN_COLUMNS = new Set(
+        Object.values(FIELD_SCHEMAS).flatMap(schema => Object.values(schema.metrics).flatMap(metric => metric.columns ?? []))
+    );
+
+    const tokenizeScreen = text => {
+        const source = toLatinDigits(text);
+        const pattern = /\s*(>=|<=|==|!=|&&|\|\||[<>=!()]|-?\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*|و|یا)/y;
+        const tokens = [];
+        let index = 0;
+        while (index < source.length) {
+            if (!source.slice(index).trim()) break;
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`عبارت نامعتبر نزدیک «${source.slice(index).trim().slice(0, 12)}»`);
+            }
+            tokens.push(match[1]);
+            index = pattern.lastIndex;
+        }
+        return tokens;
+    };
+
+    // Grammar: or := and (OR and)*, and := unary (AND unary)*,
+    // unary := NOT unary | "(" or ")" | operand op operand.
+    const parseScreenExpression = text => {
+        const tokens = tokenizeScreen(text);
+        if (!tokens.length) throw new Error("عبارت غربال خالی است.");
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const keyword = token => SCREEN_KEYWORDS[String(token ?? "").toLowerCase()];
+
+        const parseOperand = () => {
+            const token = tokens[position++];
+            if (token == null) throw new Error("عبارت ناتمام است.");
+            if (/^-?\d/.test(token)) return { type: "number", value: Number(token) };
+            if (SCREEN_METRICS.has(token) || SCREEN_COLUMNS.has(token)) return { type: "field", name: token };
+            throw new Error(`شاخص ناشناخته: ${token}`);
+        };
+
+        const parseUnary = () => {
+            if (keyword(peek()) === "not") {
+                position += 1;
+                return { type: "not", item: parseUnary() };
+            }
+            if (peek() === "(") {
+                position += 1;
+                const inner = parseOr();
+                if (tokens[position++] !== ")") throw new Error("پرانتز بسته نشده است.");
+                return inner;
+            }
+            const left = parseOperand();
+            const operator = tokens[position++];
+            if (!SCREEN_OPERATORS[operator]) throw new Error(`عملگر نامعتبر: ${operator ?? "—"}`);
+            return { type: "compare", operator, left, right: parseOperand() };
+        };
+
+        const parseChain = (type, parseItem) => {
+            const items = [parseItem()];
+            while (keyword(peek()) === type) {
+                position += 1;
+                items.push(parseItem());
+            }
+            return items.length === 1 ? items[0] : { type, items };
+        };
+
+        const parseAnd = () => parseChain("and", parseUnary);
+        const parseOr = () => parseChain("or", parseAnd);
+
+        const tree = parseOr();
+        if (position < tokens.length) throw new Error(`بخش اضافی در عبارت: ${tokens.slice(position).join(" ")}`);
+        return tree;
+    };
+
+    const compileScreen = (text, readValue) => {
+        const tree = parseScreenExpression(text);
+        const evaluate = (node, record) => {
+            switch (node.type) {
+                case "and":
+                    return node.items.every(item => evaluate(item, record));
+                case "or":
+                    return node.items.some(item => evaluate(item, record));
+                case "not":
+                    return !evaluate(node.item, record);
+                case "compare": {
+                    const left = node.left.type === "number" ? node.left.value : readValue(record, node.left.name);
+                    const right = node.right.type === "number" ? node.right.value : readValue(record, node.right.name);
+                    if (left == null || right == null) return false;
+                    return SCREEN_OPERATORS[node.operator](left, right);
+                }
+                default:
+                    return false;
+            }
+        };
+        return record => evaluate(tree, record);
+    };
+
+    class ScreenerPanel {
+        constructor(repository, symbolView) {
+            this.repository = repository;
+            this.symbolView = symbolView;
+            this.screens = this.loadScreens();
+            this.activeName = null;
+            this.elements = {
+                panel: document.getElementById("screenerPanel"),
+                activeName: document.getElementById("screenerActiveName"),
+                field: document.getElementById("screenerField"),
+                operator: document.getElementById("screenerOperator"),
+                value: document.getElementById("screenerValue"),
+                join: document.getElementById("screenerJoin"),
+                addCondition: document.getElementById("screenerAddCondition"),
+                expression: document.getElementById("screenerExpression"),
+                message: document.getElementById("screenerMessage"),
+                apply: document.getElementById("screenerApply"),
+                clear: document.getElementById("screenerClear"),
+                name: document.getElementById("screenerName"),
+                save: document.getElementById("screenerSave"),
+                savedList: document.getElementById("screenerSavedList")
+            };
+        }
+
+        init() {
+            if (!this.elements.panel) return;
+
+            this.renderFields();
+            this.renderSaved();
+
+            this.elements.addCondition?.addEventListener("click", () => this.addCondition());
+            this.elements.apply?.addEventListener("click", () => this.apply(this.elements.expression.value));
+            this.elements.clear?.addEventListener("click", () => this.clear());
+            this.elements.save?.addEventListener("click", () => this.save());
+            this.elements.savedList?.addEventListener("click", event => {
+                const button = event.target.closest("button[data-screen-action]");
+                if (!button) return;
+                const screen = this.screens[Number(button.dataset.screenIndex)];
+                if (!screen) return;
+                if (button.dataset.screenAction === "apply") {
+                    this.elements.expression.value = screen.expression;
+                    this.apply(screen.expression, screen.name);
+                } else if (button.dataset.screenAction === "delete") {
+                    this.screens = this.screens.filter(item => item !== screen);
+                    this.persist();
+                    this.renderSaved();
+                }
+            });
+        }
+
+        // Named metrics use their first source column, matching the names analysts
+        // see in the snapshot files; derived metrics keep their canonical name.
+        renderFields() {
+            const schema = this.repository.getSchema();
+            const options = Object.entries(schema.metrics)
+                .filter(([, definition]) => definition.type !== "text")
+                .map(([metric, definition]) => {
+                    const name = definition.columns?.[0] ?? metric;
+                    return `<option value="${name}">${definition.label} (${name})</option>`;
+                })
+                .join("");
+            if (this.elements.field) this.elements.field.innerHTML = options;
+        }
+
+        readValue(record, name) {
+            if (SCREEN_METRICS.has(name)) {
+                const value = this.repository.read(record)[name];
+                return typeof value === "number" ? value : toNumberOrNull(value);
+            }
+            return toNumberOrNull(record?.[name]);
+        }
+
+        compile(expression) {
+            return compileScreen(expression, (record, name) => this.readValue(record, name));
+        }
+
+        addCondition() {
+            const { field, operator, value, join, expression } = this.elements;
+            const operand = toLatinDigits(value.value.trim());
+            if (!operand) {
+                this.showMessage("مقدار یا شاخص سمت راست شرط را وارد کنید.", true);
+                return;
+            }
+            const clause = `${field.value} ${operator.value} ${operand}`;
+            const current = expression.value.trim();
+            expression.value = current ? `${current} ${join.value} ${clause}` : clause;
+            value.value = "";
+            this.showMessage("");
+        }
+
+        apply(expression, name = null) {
+            let predicate;
+            try {
+                predicate = this.compile(expression);
+            } catch (error) {
+                this.showMessage(error.message, true);
+                return;
+            }
+
+            this.activeName = name ?? expression.trim();
+            this.symbolView.setScreen(predicate);
+            const count = this.symbolView.screenedCount();
+            this.showMessage(`${NUMBER_FORMAT.format(count)} نماد با این غربال مطابقت دارد.`);
+            this.renderActive();
+        }
+
+        clear() {
+            this.activeName = null;
+            this.symbolView.setScreen(null);
+            this.showMessage("");
+            this.renderActive();
+        }
+
+        save() {
+            const name = this.elements.name.value.trim();
+            const expression = this.elements.expression.value.trim();
+            if (!name) {
+                this.showMessage("برای ذخیره، نام غربال را وارد کنید.", true);
+                return;
+            }
+            try {
+                parseScreenExpression(expression);
+            } catch (error) {
+                this.showMessage(error.message, true);
+                return;
+            }
+
+            const existing = this.screens.find(screen => screen.name === name);
+            if (existing) {
+                existing.expression = expression;
+            } else {
+                this.screens.push({ name, expression });
+            }
+            this.persist();
+            this.elements.name.value = "";
+            this.renderSaved();
+            this.showMessage(`غربال «${name}» ذخیره شد.`);
+        }
+
+        loadScreens() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(SCREEN_STORAGE_KEY) ?? "[]");
+                return Array.isArray(stored) ? stored.filter(screen => screen?.name && screen?.expression) : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        persist() {
+            try {
+                localStorage.setItem(SCREEN_STORAGE_KEY, JSON.stringify(this.screens));
+            } catch (error) {
+                console.warn("ذخیرهٔ غربال‌ها ممکن نشد.", error);
+            }
+        }
+
+        renderSaved() {
+            const list = this.elements.savedList;
+            if (!list) return;
+            if (!this.screens.length) {
+                list.innerHTML = `<li class="screener-empty">هنوز غربالی ذخیره نشده است.</li>`;
+                return;
+            }
+
+            const records = this.symbolView.symbols;
+            list.innerHTML = this.screens
+                .map((screen, index) => {
+                    let count = "—";
+                    try {
+                        const predicate = this.compile(screen.expression);
+                        count = NUMBER_FORMAT.format(records.filter(predicate).length);
+                    } catch (error) {
+                        count = "خطا";
+                    }
+                    return `
+                        <li class="${screen.name === this.activeName ? "is-active" : ""}">
+                            <div>
+                                <strong>${escapeHtml(screen.name)}</strong>
+                                <code>${escapeHtml(screen.expression)}</code>
+                            </div>
+                            <span class="badge" title="تعداد نمادهای مطابق در تاریخ انتخابی">${count}</span>
+                            <button type="button" class="ma-chip" data-screen-action="apply" data-screen-index="${index}">اعمال</button>
+                            <button type="button" class="ma-chip" data-screen-action="delete" data-screen-index="${index}">حذف</button>
+                        </li>
+                    `;
+                })
+                .join("");
+        }
+
+        renderActive() {
+            if (this.elements.activeName) {
+                this.elements.activeName.textContent = this.activeName ? `(فعال: ${this.activeName})` : "";
+            }
+            this.renderSaved();
+        }
+
+        showMessage(message, isError = false) {
+            if (!this.elements.message) return;
+            this.elements.message.textContent = message;
+            this.elements.message.classList.toggle("is-error", isError);
+        }
+    }
+
+    const WATCHLIST_STORAGE_KEY = "iranoi.watchlist";
+    const WATCH_RULE_OPERATORS = Object.freeze({
+        crossesAbove: {
+            label: "عبور رو به بالا از",
+            test: (before, after, threshold) => before != null && before <= threshold && after > threshold
+        },
+        crossesBelow: {
+            label: "عبور رو به پایین از",
+            test: (before, after, threshold) => before != null && before >= threshold && after < threshold
+        },
+        above: { label: "بالاتر از", test: (before, after, threshold) => after > threshold },
+        below: { label: "پایین‌تر از", test: (before, after, threshold) => after < threshold }
+    });
+
+    const sanitizeWatchRule = rule => {
+        const value = toNumberOrNull(rule?.value);
+        if (typeof rule?.metric !== "string" || !WATCH_RULE_OPERATORS[rule?.operator] || value == null) return null;
+        return { metric: rule.metric, operator: rule.operator, value };
+    };
+
+    const sanitizeWatchEntries = entries =>
+        (Array.isArray(entries) ? entries : [])
+            .map(entry => (typeof entry === "string" ? { symbol: entry } : entry))
+            .filter(entry => typeof entry?.symbol === "string" && entry.symbol.trim())
+            .map(entry => ({
+                symbol: entry.symbol.trim(),
+                rules: (Array.isArray(entry.rules) ? entry.rules : []).map(sanitizeWatchRule).filter(Boolean)
+            }));
+
+    class Watchlist {
+        constructor() {
+            this.entries = [];
+            this.notify = false;
+            this.lastSeenDate = null;
+            this.listeners = [];
+            this.load();
+        }
+
+        load() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) ?? "null");
+                this.entries = sanitizeWatchEntries(stored?.symbols);
+                this.notify = Boolean(stored?.notify);
+                this.lastSeenDate = typeof stored?.lastSeenDate === "string" ? stored.lastSeenDate : null;
+            } catch (error) {
+                this.entries = [];
+            }
+        }
+
+        persist() {
+            try {
+                localStorage.setItem(
+                    WATCHLIST_STORAGE_KEY,
+                    JSON.stringify({ symbols: this.entries, notify: this.notify, lastSeenDate: this.lastSeenDate })
+                );
+            } catch (error) {
+                console.warn("ذخیرهٔ دیده‌بان ممکن نشد.", error);
+            }
+        }
+
+        onChange(listener) {
+            this.listeners.push(listener);
+        }
+
+        changed() {
+            this.persist();
+            this.listeners.forEach(listener => listener());
+        }
+
+        find(symbol) {
+            const key = normalizeText(symbol);
+            return this.entries.find(entry => normalizeText(entry.symbol) === key) ?? null;
+        }
+
+        has(symbol) {
+            return Boolean(this.find(symbol));
+        }
+
+        toggle(symbol) {
+            const entry = this.find(symbol);
+            if (entry) {
+                this.entries = this.entries.filter(item => item !== entry);
+            } else {
+                this.entries.push({ symbol, rules: [] });
+            }
+            this.changed();
+        }
+
+        addRule(symbol, rule) {
+            const entry = this.find(symbol);
+            const sanitized = sanitizeWatchRule(rule);
+            if (!entry || !sanitized) return false;
+            entry.rules.push(sanitized);
+            this.changed();
+            return true;
+        }
+
+        removeRule(symbol, index) {
+            const entry = this.find(symbol);
+            if (!entry) return;
+            entry.rules.splice(index, 1);
+            this.changed();
+        }
+
+        setNotify(enabled) {
+            this.notify = enabled;
+            this.persist();
+        }
+
+        markSeen(date) {
+            if (date && (!this.lastSeenDate || date > this.lastSeenDate)) {
+                this.lastSeenDate = date;
+                this.persist();
+            }
+        }
+
+        toJSON() {
+            return { version: 1, symbols: this.entries };
+        }
+
+        // Imported symbols are merged in; a symbol already on the list takes the
+        // imported rules. `resolve` maps a symbol to its spelling in the loaded
+        // data, or to null when the data does not have it, and those are skipped.
+        import(data, resolve = symbol => symbol) {
+            const entries = sanitizeWatchEntries(Array.isArray(data) ? data : data?.symbols);
+            if (!entries.length) {
+                throw new Error("فایل انتخاب‌شده فهرست دیده‌بان معتبری ندارد.");
+            }
+            const imported = entries
+                .map(entry => ({ ...entry, symbol: resolve(entry.symbol) }))
+                .filter(entry => entry.symbol);
+            if (!imported.length) {
+                throw new Error("هیچ‌یک از نمادهای فایل در داده‌های بارگذاری‌شده وجود ندارد.");
+            }
+            imported.forEach(entry => {
+                const existing = this.find(entry.symbol);
+                if (existing) {
+                    existing.rules = entry.rules;
+                } else {
+                    this.entries.push(entry);
+                }
+            });
+            this.changed();
+            return { added: imported.length, skipped: entries.length - imported.length };
+        }
+    }
+
+    class WatchlistPanel {
+        constructor(repository, watchlist, symbolView, onOpen) {
+            this.repository = repository;
+            this.watchlist = watchlist;
+            this.symbolView = symbolView;
+            this.onOpen = onOpen;
+            this.alerts = [];
+            this.elements = {
+                panel: document.getElementById("watchlistPanel"),
+                count: document.getElementById("watchlistCount"),
+                items: document.getElementById("watchlistItems"),
+                message: document.getElementById("watchlistMessage"),
+                exportButton: document.getElementById("watchlistExport"),
+                importButton: document.getElementById("watchlistImport"),
+                importFile: document.getElementById("watchlistImportFile"),
+                notify: document.getElementById("watchlistNotify"),
+                alertCenter: document.getElementById("alertCenter"),
+                alertList: document.getElementById("alertList"),
+                alertDismiss: document.getElementById("alertDismiss")
+            };
+        }
+
+        init() {
+            const { items, exportButton, importButton, importFile, notify, alertList, alertDismiss } = this.elements;
+
+            this.watchlist.onChange(() => {
+                this.render();
+                this.symbolView.refresh();
+            });
+
+            items?.addEventListener("click", event => {
+                const button = event.target.closest("button[data-watch-action]");
+                if (!button) return;
+                const { symbol } = button.closest("[data-symbol]").dataset;
+                const action = button.dataset.watchAction;
+                if (action === "open") {
+                    this.onOpen(symbol);
+                } else if (action === "remove") {
+                    this.watchlist.toggle(symbol);
+                } else if (action === "remove-rule") {
+                    this.watchlist.removeRule(symbol, Number(button.dataset.ruleIndex));
+                } else if (action === "add-rule") {
+                    this.addRule(button.closest("[data-rule-form]"), symbol);
+                }
+            });
+
+            exportButton?.addEventListener("click", () => this.exportList());
+            importButton?.addEventListener("click", () => importFile?.click());
+            importFile?.addEventListener("change", () => {
+                const [file] = importFile.files ?? [];
+                if (file) this.importList(file);
+                importFile.value = "";
+            });
+
+            if (notify) {
+                notify.checked = this.watchlist.notify && this.notificationsGranted();
+                notify.addEventListener("change", () => this.setNotify(notify.checked));
+            }
+
+            alertList?.addEventListener("click", event => {
+                const item = event.target.closest("[data-symbol]");
+                if (item) this.onOpen(item.dataset.symbol);
+            });
+            alertDismiss?.addEventListener("click", () => {
+                this.alerts = [];
+                this.renderAlerts();
+            });
+
+            this.render();
+        }
+
+        metricOptions() {
+            const schema = this.repository.getSchema();
+            return Object.entries(schema.metrics)
+                .filter(([, definition]) => definition.type !== "text")
+                .map(([metric, definition]) => `<option value="${metric}">${definition.label}</option>`)
+                .join("");
+        }
+
+        describeRule(rule) {
+            const label = this.repository.getSchema().labelOf(rule.metric);
+            return `${label} ${WATCH_RULE_OPERATORS[rule.operator].label} ${rule.value}`;
+        }
+
+        render() {
+            const { items, count } = this.elements;
+            if (count) {
+                count.textContent = this.watchlist.entries.length ? `(${NUMBER_FORMAT.format(this.watchlist.entries.length)})` : "";
+            }
+            if (!items) return;
+            if (!this.watchlist.entries.length) {
+                items.innerHTML = `<li class="screener-empty">برای افزودن نماد، روی ستارهٔ کنار آن در جدول کلیک کنید.</li>`;
+                return;
+            }
+
+            const records = new Map(this.symbolView.symbols.map(item => [normalizeText(resolveSymbol(item)), item]));
+            const metricOptions = this.metricOptions();
+            const operatorOptions = Object.entries(WATCH_RULE_OPERATORS)
+                .map(([id, operator]) => `<option value="${id}">${operator.label}</option>`)
+                .join("");
+            const format = formatFixed(2);
+
+            items.innerHTML = this.watchlist.entries
+                .map(entry => {
+                    const record = records.get(normalizeText(entry.symbol));
+                    const metrics = this.repository.read(record);
+                    const snapshot = record
+                        ? `P/M ${format(metrics.pmRatio)} · خرید ${format(metrics.buyRatio ?? metrics.buy)} · فروش ${format(metrics.sellRatio ?? metrics.sell)}`
+                        : "در تاریخ انتخابی داده‌ای ندارد";
+                    const rules = entry.rules
+                        .map((rule, index) => `
+                            <li>
+                                <span>${escapeHtml(this.describeRule(rule))}</span>
+                                <button type="button" class="ma-chip" data-watch-action="remove-rule" data-rule-index="${index}">حذف</button>
+                            </li>
+                        `)
+                        .join("");
+                    return `
+                        <li data-symbol="${escapeHtml(entry.symbol)}">
+                            <div class="watchlist-head">
+                                <button type="button" class="watchlist-symbol" data-watch-action="open">${escapeHtml(entry.symbol)}</button>
+                                <span>${snapshot}</span>
+                                <button type="button" class="ma-chip" data-watch-action="remove">حذف از دیده‌بان</button>
+                            </div>
+                            <ul class="watchlist-rules">${rules}</ul>
+                            <div class="watchlist-rule-form" data-rule-form>
+                                <select data-rule-field="metric" aria-label="شاخص">${metricOptions}</select>
+                                <select data-rule-field="operator" aria-label="شرط">${operatorOptions}</select>
+                                <input data-rule-field="value" type="text" inputmode="decimal" placeholder="مقدار" aria-label="مقدار">
+                                <button type="button" class="ma-chip" data-watch-action="add-rule">افزودن هشدار</button>
+                            </div>
+                        </li>
+                    `;
+                })
+                .join("");
+        }
+
+        addRule(form, symbol) {
+            const field = name => form.querySelector(`[data-rule-field="${name}"]`).value;
+            const rule = { metric: field("metric"), operator: field("operator"), value: toLatinDigits(field("value").trim()) };
+            if (!this.watchlist.addRule(symbol, rule)) {
+                this.showMessage("برای هشدار، یک مقدار عددی وارد کنید.", true);
+                return;
+            }
+            this.showMessage(`هشدار «${this.describeRule(sanitizeWatchRule(rule))}» برای ${symbol} ثبت شد.`);
+        }
+
+        exportList() {
+            const blob = new Blob([JSON.stringify(this.watchlist.toJSON(), null, 2)], { type: "application/json" });
+            downloadBlob(blob, "iranoi-watchlist.json");
+        }
+
+        async importList(file) {
+            try {
+                const { added, skipped } = this.watchlist.import(JSON.parse(await file.text()), this.knownSymbols());
+                const note = skipped ? ` ${NUMBER_FORMAT.format(skipped)} نماد ناشناخته نادیده گرفته شد.` : "";
+                this.showMessage(`${NUMBER_FORMAT.format(added)} نماد از فایل به دیده‌بان اضافه شد.${note}`);
+            } catch (error) {
+                this.showMessage(error instanceof SyntaxError ? "فایل انتخاب‌شده JSON معتبر نیست." : error.message, true);
+            }
+        }
+
+        // Resolves a symbol to its spelling in any loaded snapshot, or null.
+        knownSymbols() {
+            const symbols = new Map();
+            this.repository.dates.forEach(date =>
+                this.repository.getRecords(date).forEach(record => {
+                    const symbol = resolveSymbol(record);
+                    if (symbol) symbols.set(normalizeText(symbol), symbol);
+                })
+            );
+            return symbol => symbols.get(normalizeText(symbol)) ?? null;
+        }
+
+        notificationsGranted() {
+            return typeof Notification !== "undefined" && Notification.permission === "granted";
+        }
+
+        async setNotify(enabled) {
+            if (enabled && typeof Notification === "undefined") {
+                this.showMessage("مرورگر شما از اعلان پشتیبانی نمی‌کند.", true);
+                this.elements.notify.checked = false;
+                return;
+            }
+            if (enabled && Notification.permission !== "granted") {
+                const permission = await Notification.requestPermission();
+                if (permission !== "granted") {
+                    this.showMessage("اجازهٔ نمایش اعلان داده نشد.", true);
+                    this.elements.notify.checked = false;
+                    return;
+                }
+            }
+            this.watchlist.setNotify(enabled);
+            this.showMessage(enabled ? "هشدارهای جدید به‌صورت اعلان مرورگر هم نمایش داده می‌شوند." : "");
+        }
+
+        // Compares each newly loaded snapshot with the one before it. Only dates
+        // newer than the last visit raise browser notifications; when nothing is
+        // new, the latest snapshot is still checked so the alert list is not empty.
+        evaluate(loadedDates) {
+            const { dates } = this.repository;
+            const seen = this.watchlist.lastSeenDate;
+            const fresh = loadedDates.filter(date => !seen || date > seen);
+            const targets = fresh.length ? (seen ? fresh : fresh.slice(-1)) : loadedDates.slice(-1);
+
+            const known = new Set(this.alerts.map(alert => alert.key));
+            const alerts = targets
+                .flatMap(date => {
+                    const previousDate = dates[dates.indexOf(date) - 1] ?? null;
+                    return this.evaluateDate(previousDate, date).map(alert => ({ ...alert, isNew: fresh.includes(date) }));
+                })
+                .filter(alert => !known.has(alert.key));
+
+            this.alerts = [...alerts.reverse(), ...this.alerts];
+            this.renderAlerts();
+            if (this.watchlist.notify && this.notificationsGranted()) {
+                alerts.filter(alert => alert.isNew).forEach(alert => this.notify(alert));
+            }
+            this.watchlist.markSeen(loadedDates[loadedDates.length - 1]);
+        }
+
+        evaluateDate(previousDate, date) {
+            const recordsOf = day => new Map(this.repository.getRecords(day).map(item => [normalizeText(resolveSymbol(item)), item]));
+            const previous = previousDate ? recordsOf(previousDate) : new Map();
+            const current = recordsOf(date);
+
+            return this.watchlist.entries.flatMap(entry => {
+                const key = normalizeText(entry.symbol);
+                if (!current.has(key)) return [];
+                const after = this.repository.read(current.get(key));
+                const before = previous.has(key) ? this.repository.read(previous.get(key)) : {};
+                return entry.rules
+                    .filter(rule => {
+                        const value = after[rule.metric];
+                        if (typeof value !== "number") return false;
+                        const prior = typeof before[rule.metric] === "number" ? before[rule.metric] : null;
+                        return WATCH_RULE_OPERATORS[rule.operator].test(prior, value, rule.value);
+                    })
+                    .map(rule => ({
+                        key: `${entry.symbol}|${rule.metric}|${rule.operator}|${rule.value}|${date}`,
+                        date,
+                        symbol: entry.symbol,
+                        rule,
+                        before: before[rule.metric] ?? null,
+                        after: after[rule.metric]
+                    }));
+            });
+        }
+
+        notify(alert) {
+            try {
+                new Notification(`هشدار دیده‌بان: ${alert.symbol}`, {
+                    body: `${this.describeRule(alert.rule)} (${formatDateLabel(alert.date)})`,
+                    tag: alert.key,
+                    lang: "fa",
+                    dir: "rtl"
+                });
+            } catch (error) {
+                console.warn("نمایش اعلان مرورگر ممکن نشد.", error);
+            }
+        }
+
+        renderAlerts() {
+            const { alertCenter, alertList } = this.elements;
+            if (!alertCenter || !alertList) return;
+            alertCenter.hidden = !this.alerts.length;
+            const format = formatFixed(2);
+            alertList.innerHTML = this.alerts
+                .map(alert => `
+                    <li data-symbol="${escapeHtml(alert.symbol)}" class="${alert.isNew ? "is-new" : ""}">
+                        <strong>${escapeHtml(alert.symbol)}</strong>
+                        <span>${escapeHtml(this.describeRule(alert.rule))}</span>
+                        <span class="alert-values">${format(alert.before)} ← ${format(alert.after)}</span>
+                        <time>${formatDateLabel(alert.date)}</time>
+                    </li>
+                `)
+                .join("");
+        }
+
+        showMessage(message, isError = false) {
+            if (!this.elements.message) return;
+            this.elements.message.textContent = message;
+            this.elements.message.classList.toggle("is-error", isError);
+        }
+    }
+
+    const COMPARE_LIMIT = 5;
+    const COMPARE_COLORS = Object.freeze(["#fbbf24", "#38bdf8", "#a78bfa", "#f472b6", "#34d399"]);
+    const COMPARE_SERIES = Object.freeze({
+        net: { label: "خالص جریان (خرید − فروش)", read: item => item.net },
+        ratio: { label: "نسبت خرید به فروش", read: item => (item.buy != null && item.sell ? item.buy / item.sell : null) },
+        pmRatio: { label: "P/M", read: item => item.pmRatio }
+    });
+
+    // Rebased series divide by the magnitude of the first non-zero value, so the
+    // first point is ±100 and sign changes in net flow survive the rescaling.
+    const COMPARE_SCALES = Object.freeze({
+        absolute: { label: "مقدار مطلق", apply: values => values },
+        rebased: {
+            label: "پایه ۱۰۰",
+            apply: values => {
+                const base = values.find(value => value != null && value !== 0);
+                return base == null ? values.map(() => null) : values.map(value => (value == null ? null : (value / Math.abs(base)) * 100));
+            }
+        },
+        zscore: {
+            label: "امتیاز استاندارد (z)",
+            apply: values => {
+                const present = values.filter(value => value != null);
+                if (present.length < 2) return values.map(() => null);
+                const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+                const deviation = Math.sqrt(present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (present.length - 1));
+                return values.map(value => (value == null || !deviation ? null : (value - mean) / deviation));
+            }
+        }
+    });
+
+    const correlation = (left, right) => {
+        const pairs = left.map((value, index) => [value, right[index]]).filter(([a, b]) => a != null && b != null);
+        if (pairs.length < 3) return null;
+        const meanOf = index => pairs.reduce((sum, pair) => sum + pair[index], 0) / pairs.length;
+        const [meanA, meanB] = [meanOf(0), meanOf(1)];
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        pairs.forEach(([a, b]) => {
+            covariance += (a - meanA) * (b - meanB);
+            varianceA += (a - meanA) ** 2;
+            varianceB += (b - meanB) ** 2;
+        });
+        return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : null;
+    };
+
+    class SymbolView {
+        constructor(repository, riskClassifier, watchlist = null) {
+            this.repository = repository;
+            this.symbols = [];
+            this.filteredSymbols = [];
+            this.currentSymbol = null;
+            this.currentMA = DEFAULT_MA;
+            this.chart = null;
+            this.asOfDate = null;
+            this.query = "";
+            this.screen = null;
+            this.sector = null;
+            this.sectorMap = null;
+            this.selection = null;
+            this.signalSettings = null;
+            this.compareMode = false;
+            this.compareSymbols = [];
+            this.compareSeries = "net";
+            this.compareScale = "absolute";
+            this.onStateChange = null;
+            this.riskClassifier = riskClassifier;
+            this.table = new SymbolTable(repository, riskClassifier, symbol => this.handleSymbolSelect(symbol), watchlist);
+            this.indicators = new IndicatorPicker("symbol", ["ema", "wma", "bollinger", "rsi", "cumulative"], () => {
+                if (this.currentSymbol || this.compareMode) this.updateChart();
+            });
+
+            this.elements = {
+                totalCount: document.getElementById("symbolTotalCount"),
+                displayedCount: document.getElementById("symbolDisplayedCount"),
+                searchInput: document.getElementById("symbolSearchInput"),
+                chartCanvas: document.getElementById("symbolChart"),
+                chartTitle: document.getElementById("symbolChartTitle"),
+                chartStatus: document.getElementById("symbolChartStatus"),
+                maChips: Array.from(document.querySelectorAll(".ma-chip[data-ma]")),
+                maCustom: document.getElementById("maCustomPeriod"),
+                sectorFilter: document.getElementById("symbolSectorFilter"),
+                sectorName: document.getElementById("symbolSectorName"),
+                sectorClear: document.getElementById("symbolSectorClear"),
+                selectionFilter: document.getElementById("symbolSelectionFilter"),
+                selectionName: document.getElementById("symbolSelectionName"),
+                selectionClear: document.getElementById("symbolSelectionClear"),
+                compareToggle: document.getElementById("compareToggle"),
+                compareSeries: document.getElementById("compareSeries"),
+                compareScale: document.getElementById("compareScale"),
+                compareChips: document.getElementById("compareChips"),
+                summary: {
+                    net: document.getElementById("symbolNetAvg"),
+                    buy: document.getElementById("symbolBuyAvg"),
+                    sell: document.getElementById("symbolSellAvg"),
+                    volume7: document.getElementById("symbolVolume7Avg"),
+                    volume21: document.getElementById("symbolVolume21Avg"),
+                    latestDate: document.getElementById("symbolLatestDate"),
+                    details: document.getElementById("symbolDetailsList")
+                }
+            };
+        }
+
+        init() {
+            this.bindEvents();
+            this.setDate(this.repository.latestDate);
+        }
+
+        setDate(asOfDate) {
+            this.asOfDate = this.repository.resolveDate(asOfDate);
+            this.symbols = this.repository.getRecordsAsOf(this.asOfDate);
+            this.riskClassifier.fit(this.symbols.map(item => this.repository.read(item).risk), this.asOfDate);
+            this.applySchemaLabels();
+            this.table.setSchema(this.repository.getSchema(this.asOfDate ?? undefined));
+            this.filterSymbols(this.query);
+
+            if (this.compareMode) {
+                this.updateChart();
+                this.updateSummary();
+                return;
+            }
+
+            const hasCurrent = this.currentSymbol && this.filteredSymbols.some(
+                item => normalizeText(resolveSymbol(item)) === normalizeText(this.currentSymbol)
+            );
+            if (hasCurrent) {
+                this.handleSymbolSelect(this.currentSymbol);
+            } else if (this.filteredSymbols.length) {
+                this.handleSymbolSelect(resolveSymbol(this.filteredSymbols[0]));
+            } else {
+                this.showChartPlaceholder("برای مشاهده نمودار، نمادی با دادهٔ معتبر در فایل وجود ندارد.");
+            }
+        }
+
+        bindEvents() {
+            this.table.init();
+            this.indicators.init();
+
+            if (this.elements.searchInput) {
+                this.elements.searchInput.addEventListener("input", event => {
+                    const query = normalizeText(event.target.value ?? "");
+                    this.filterSymbols(query);
+                    this.notifyStateChange(true);
+                });
+            }
+
+            this.elements.maChips.forEach(chip => {
+                chip.addEventListener("click", () => {
+                    if (this.setMovingAverage(Number(chip.dataset.ma) || DEFAULT_MA)) {
+                        this.notifyStateChange();
+                    }
+                });
+            });
+            this.elements.maCustom?.addEventListener("change", event => {
+                const period = clampPeriod(event.target.value, this.currentMA);
+                if (this.setMovingAverage(period)) {
+                    this.notifyStateChange();
+                } else {
+                    this.syncMovingAverageControls();
+                }
+            });
+
+            this.elements.sectorClear?.addEventListener("click", () => {
+                this.setSector(null);
+                this.notifyStateChange();
+            });
+            this.elements.selectionClear?.addEventListener("click", () => this.setSelection(null));
+
+            this.elements.compareToggle?.addEventListener("click", () => this.setCompareMode(!this.compareMode));
+            this.elements.compareSeries?.addEventListener("change", event => {
+                this.compareSeries = event.target.value;
+                this.updateChart();
+                this.updateSummary();
+            });
+            this.elements.compareScale?.addEventListener("change", event => {
+                this.compareScale = event.target.value;
+                this.updateChart();
+            });
+            this.elements.compareChips?.addEventListener("click", event => {
+                const button = event.target.closest("button[data-symbol]");
+                if (button) this.toggleCompareSymbol(button.dataset.symbol);
+            });
+        }
+
+        // Any period in INDICATOR_PERIOD_RANGE is accepted; the chips are presets.
+        setMovingAverage(period) {
+            const next = clampPeriod(period, DEFAULT_MA);
+            if (next === this.currentMA) return false;
+
+            this.currentMA = next;
+            this.syncMovingAverageControls();
+            if (this.currentSymbol) {
+                this.updateChart();
+            }
+            return true;
+        }
+
+        syncMovingAverageControls() {
+            const chip = this.elements.maChips.find(item => Number(item.dataset.ma) === this.currentMA);
+            this.elements.maChips.forEach(btn => btn.classList.toggle("is-active", btn === chip));
+            if (this.elements.maCustom) {
+                this.elements.maCustom.value = chip ? "" : String(this.currentMA);
+                this.elements.maCustom.classList.toggle("is-active", !chip);
+            }
+        }
+
+        notifyStateChange(replace = false) {
+            if (typeof this.onStateChange === "function") {
+                this.onStateChange({ replace });
+            }
+        }
+
+        getState() {
+            const symbols = this.compareMode ? [...this.compareSymbols] : this.currentSymbol ? [this.currentSymbol] : [];
+            return {
+                symbols,
+                query: this.elements.searchInput?.value.trim() ?? "",
+                ma: this.currentMA,
+                sector: this.sector?.id ?? null
+            };
+        }
+
+        // Restores a state read from the URL; several symbols mean comparison mode.
+        applyState({ symbols: requested = [], query = "", ma = null, sector = null }) {
+            // Links are shared, so symbols the as-of snapshot does not have are dropped.
+            const known = new Map(this.symbols.map(item => [normalizeText(resolveSymbol(item)), resolveSymbol(item)]));
+            const symbols = [...new Set(requested.map(symbol => known.get(normalizeText(symbol))).filter(Boolean))];
+            this.setMovingAverage(ma ?? DEFAULT_MA);
+            if ((this.sector?.id ?? null) !== sector) {
+                this.setSector(sector ? this.sectorMap?.getSector(sector) : null, { select: false });
+            }
+
+            const { searchInput } = this.elements;
+            if (searchInput && searchInput.value.trim() !== query) {
+                searchInput.value = query;
+                this.filterSymbols(normalizeText(query));
+            }
+
+            if (symbols.length > 1) {
+                if (!this.compareMode) this.setCompareMode(true);
+                this.compareSymbols = symbols.slice(0, COMPARE_LIMIT);
+                this.currentSymbol = this.compareSymbols[0];
+                this.highlightActiveRow();
+                this.renderCompareChips();
+                this.updateChart();
+                this.updateSummary();
+                return;
+            }
+
+            if (this.compareMode) this.setCompareMode(false);
+            if (symbols.length) {
+                this.handleSymbolSelect(symbols[0]);
+                this.table.scrollTo(symbols[0]);
+            }
+        }
+
+        setCompareMode(enabled) {
+            this.compareMode = enabled;
+            if (enabled) {
+                this.compareSymbols = this.currentSymbol ? [this.currentSymbol] : [];
+            } else {
+                this.currentSymbol = this.compareSymbols[0] ?? this.currentSymbol;
+                this.compareSymbols = [];
+            }
+
+            const { compareToggle, compareSeries, compareScale } = this.elements;
+            this.elements.summary.details.closest(".summary-card")?.classList.toggle("is-comparing", enabled);
+            compareToggle?.classList.toggle("is-active", enabled);
+            compareToggle?.setAttribute("aria-pressed", String(enabled));
+            [compareSeries, compareScale].forEach(select => {
+                if (select) select.disabled = !enabled;
+            });
+            this.elements.maChips.forEach(chip => {
+                chip.disabled = enabled;
+            });
+
+            if (!enabled && this.currentSymbol) {
+                this.handleSymbolSelect(this.currentSymbol);
+            } else {
+                this.highlightActiveRow();
+                this.updateChart();
+                this.updateSummary();
+            }
+            this.renderCompareChips();
+            this.notifyStateChange();
+        }
+
+        toggleCompareSymbol(symbol) {
+            const key = normalizeText(symbol);
+            const index = this.compareSymbols.findIndex(item => normalizeText(item) === key);
+            if (index >= 0) {
+                this.compareSymbols.splice(index, 1);
+            } else if (this.compareSymbols.length >= COMPARE_LIMIT) {
+                if (this.elements.chartStatus) {
+                    this.elements.chartStatus.textContent = `حداکثر ${NUMBER_FORMAT.format(COMPARE_LIMIT)} نماد را می‌توان مقایسه کرد.`;
+                }
+                return;
+            } else {
+                this.compareSymbols.push(symbol);
+            }
+            this.currentSymbol = this.compareSymbols[0] ?? null;
+            this.highlightActiveRow();
+            this.renderCompareChips();
+            this.updateChart();
+            this.updateSummary();
+            this.notifyStateChange();
+        }
+
+        renderCompareChips() {
+            const list = this.elements.compareChips;
+            if (!list) return;
+            list.innerHTML = this.compareMode
+                ? this.compareSymbols
+                      .map((symbol, index) => `
+                        <li style="color:${COMPARE_COLORS[index]}">
+                            ${escapeHtml(symbol)}
+                            <button type="button" data-symbol="${escapeHtml(symbol)}" aria-label="حذف ${escapeHtml(symbol)} از مقایسه">×</button>
+                        </li>
+                    `)
+                      .join("")
+                : "";
+        }
+
+        applySchemaLabels() {
+            const schema = this.repository.getSchema(this.asOfDate ?? undefined);
+            document.querySelectorAll("[data-metric-label]").forEach(element => {
+                const label = schema.labelOf(element.dataset.metricLabel, null);
+                if (!label) return;
+                const template = element.dataset.labelTemplate ?? "{label}";
+                element.textContent = template.replace("{label}", label);
+            });
+        }
+
+        refresh() {
+            this.table.renderBody(true);
+            if (this.currentSymbol) {
+                this.updateSummary();
+            }
+        }
+
+        // Opens a symbol picked elsewhere; a search that hides it is cleared first.
+        openSymbol(symbol) {
+            const key = normalizeText(symbol);
+            const isVisible = item => normalizeText(resolveSymbol(item)) === key;
+            if (this.query && !this.filteredSymbols.some(isVisible) && this.symbols.some(isVisible)) {
+                if (this.elements.searchInput) {
+                    this.elements.searchInput.value = "";
+                }
+                this.filterSymbols("");
+            }
+            this.handleSymbolSelect(symbol);
+            this.table.scrollTo(symbol);
+        }
+
+        // Drill-down from the sector view: narrows the table to one sector's symbols.
+        setSector(sector, { select = true } = {}) {
+            this.sector = sector ?? null;
+            const { sectorFilter, sectorName } = this.elements;
+            if (sectorFilter) sectorFilter.hidden = !this.sector;
+            if (sectorName) sectorName.textContent = this.sector?.name ?? "";
+            this.filterSymbols(this.query);
+            if (select && this.sector && !this.compareMode && !this.currentSymbol && this.filteredSymbols.length) {
+                this.handleSymbolSelect(resolveSymbol(this.filteredSymbols[0]));
+            }
+        }
+
+        // Symbols picked on the scatter chart; like the sector, it narrows the table
+        // until cleared. `selection` is { label, symbols } or null.
+        setSelection(selection) {
+            this.selection = selection
+                ? { label: selection.label, keys: new Set(selection.symbols.map(normalizeText)) }
+                : null;
+            const { selectionFilter, selectionName } = this.elements;
+            if (selectionFilter) selectionFilter.hidden = !this.selection;
+            if (selectionName) selectionName.textContent = this.selection?.label ?? "";
+            this.filterSymbols(this.query);
+            if (this.selection && !this.compareMode && !this.currentSymbol && this.filteredSymbols.length) {
+                this.handleSymbolSelect(resolveSymbol(this.filteredSymbols[0]));
+            }
+        }
+
+        setScreen(predicate) {
+            this.screen = predicate;
+            this.filterSymbols(this.query);
+            if (!this.currentSymbol && this.filteredSymbols.length) {
+                this.handleSymbolSelect(resolveSymbol(this.filteredSymbols[0]));
+            }
+        }
+
+        screenedCount() {
+            return this.screen ? this.symbols.filter(this.screen).length : this.symbols.length;
+        }
+
+        filterSymbols(query) {
+            this.query = query;
+            const screened = this.symbols.filter(item =>
+                (!this.screen || this.screen(item)) &&
+                (!this.sector || this.sectorMap?.sectorOf(resolveSymbol(item))?.id === this.sector.id) &&
+                (!this.selection || this.selection.keys.has(normalizeText(resolveSymbol(item))))
+            );
+            if (!query) {
+                this.filteredSymbols = [...screened];
+            } else {
+                this.filteredSymbols = screened.filter(item =>
+                    normalizeText(resolveSymbol(item)).includes(query)
+                );
+            }
+
+            this.renderTable();
+            this.updateCounters();
+
+            if (this.currentSymbol && !this.compareMode) {
+                const stillVisible = this.filteredSymbols.some(
+                    item => normalizeText(resolveSymbol(item)) === normalizeText(this.currentSymbol)
+                );
+                if (!stillVisible) {
+                    this.currentSymbol = null;
+                    this.showChartPlaceholder("نماد انتخابی در فیلتر فعلی وجود ندارد.");
+                    this.resetSummary();
+                }
+            }
+        }
+
+        updateCounters() {
+            if (this.elements.totalCount) {
+                this.elements.totalCount.textContent = NUMBER_FORMAT.format(this.symbols.length);
+            }
+            if (this.elements.displayedCount) {
+                this.elements.displayedCount.textContent = NUMBER_FORMAT.format(this.filteredSymbols.length);
+            }
+        }
+
+        renderTable() {
+            this.table.setRows(this.filteredSymbols);
+            this.highlightActiveRow();
+        }
+
+        handleSymbolSelect(symbol) {
+            if (!symbol) return;
+            if (this.compareMode) {
+                this.toggleCompareSymbol(symbol);
+                return;
+            }
+
+            this.currentSymbol = symbol;
+            this.highlightActiveRow();
+
+            if (this.elements.chartTitle) {
+                this.elements.chartTitle.textContent = `نمودار OI نماد ${symbol}`;
+            }
+            if (this.elements.chartStatus) {
+                this.elements.chartStatus.textContent = "داده‌ها در حال بارگذاری هستند...";
+            }
+
+            this.updateChart();
+            this.updateSummary();
+            this.notifyStateChange();
+        }
+
+        highlightActiveRow() {
+            this.table.setActive(this.compareMode ? this.compareSymbols : this.currentSymbol);
+        }
+
+        updateChart() {
+            if (!this.elements.chartCanvas) return;
+            if (this.compareMode) {
+                this.updateComparisonChart();
+                return;
+            }
+
+            const history = this.repository.getSymbolHistory(this.currentSymbol, this.asOfDate);
+            if (!history.length) {
+                this.showChartPlaceholder("برای این نماد تاریخچهٔ کافی در فایل داده وجود ندارد.");
+                this.resetSummary();
+                return;
+            }
+            clearCanvasPlaceholder(this.elements.chartCanvas);
+
+            const dates = history.map(item => item.date);
+            const timeline = buildCalendarTimeline(dates);
+            const netValues = history.map(item => item.net);
+            const buyData = toCalendarPoints(dates, history.map(item => item.buy));
+            const sellData = toCalendarPoints(dates, history.map(item => item.sell));
+            const netData = withMissingDayGaps(toCalendarPoints(dates, netValues), timeline);
+            const maData = withMissingDayGaps(
+                toCalendarPoints(dates, movingAverage(netValues, this.currentMA)),
+                timeline
+            );
+            const { selection } = this.indicators;
+            const indicatorData = buildIndicatorDatasets(selection, netValues, dates, timeline);
+            const signalData = this.buildSignalMarkers(history);
+
+            this.destroyChart();
+
+            const ctx = this.elements.chartCanvas.getContext("2d");
+            this.chart = new Chart(ctx, {
+                type: "bar",
+                plugins: [CALENDAR_BANDS_PLUGIN],
+                data: {
+                    datasets: [
+                        {
+                            type: "bar",
+                            label: "OI خریداران",
+                            data: buyData,
+                            backgroundColor: "rgba(34, 197, 94, 0.55)",
+                            borderRadius: 5,
+                            borderWidth: 1,
+                            borderColor: "rgba(34, 197, 94, 0.4)"
+                        },
+                        {
+                            type: "bar",
+                            label: "OI فروشندگان",
+                            data: sellData,
+                            backgroundColor: "rgba(239, 68, 68, 0.55)",
+                            borderRadius: 5,
+                            borderWidth: 1,
+                            borderColor: "rgba(239, 68, 68, 0.4)"
+                        },
+                        {
+                            type: "line",
+                            label: "خالص OI",
+                            data: netData,
+                            borderColor: CHART_COLORS.net,
+                            borderWidth: 2,
+                            tension: 0.35,
+                            pointRadius: 3,
+                            fill: false
+                        },
+                        {
+                            type: "line",
+                            label: `میانگین ${this.currentMA} روزه`,
+                            data: maData,
+                            borderColor: CHART_COLORS.ma,
+                            borderDash: [6, 4],
+                            borderWidth: 2,
+                            tension: 0.25,
+                            pointRadius: 0,
+                            fill: false
+                        },
+                        ...indicatorData,
+                        ...signalData
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        mode: "index",
+                        intersect: false
+                    },
+                    scales: {
+                        x: {
+                            ...calendarAxis(timeline, "#d1d8f4"),
+                            stacked: false
+                        },
+                        y: {
+                            stacked: false,
+                            grid: {
+                                color: "rgba(148, 163, 184, 0.08)"
+                            },
+                            ticks: {
+                                color: "#d1d8f4",
+                                callback: value => DECIMAL_FORMAT.format(value)
+                            }
+                        },
+                        ...indicatorScales(selection, "#d1d8f4")
+                    },
+                    plugins: {
+                        calendarBands: {
+                            bands: timeline.bands
+                        },
+                        legend: {
+                            labels: {
+                                color: "#d1d8f4"
+                            }
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                title: calendarTooltipTitle,
+                                label: context => {
+                                    if (context.raw?.signals) return context.raw.signals.map(describeSignal);
+                                    const value = context.parsed.y ?? context.parsed;
+                                    const label = context.dataset.label;
+                                    return `${label}: ${DECIMAL_FORMAT.format(value)}`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (this.elements.chartStatus) {
+                this.elements.chartStatus.textContent = `${history.length} رکورد برای ${this.currentSymbol}`;
+            }
+        }
+
+        // One marker on the net line for each day that completes a signal pattern.
+        buildSignalMarkers(history) {
+            if (!this.signalSettings) return [];
+            const byDate = new Map();
+            detectSignals(history, this.signalSettings).forEach(signal => {
+                byDate.set(signal.date, [...(byDate.get(signal.date) ?? []), signal]);
+            });
+            const data = history
+                .filter(item => byDate.has(item.date))
+                .map(item => ({ x: JalaliCalendar.toDayNumber(item.date), y: item.net ?? 0, signals: byDate.get(item.date) }))
+                .filter(point => point.x != null);
+            if (!data.length) return [];
+            return [{
+                type: "line",
+                label: "سیگنال‌ها",
+                data,
+                showLine: false,
+                pointStyle: "triangle",
+                pointRadius: 8,
+                pointHoverRadius: 10,
+                pointBackgroundColor: context => SIGNAL_COLORS[context.raw?.signals[0].pattern] ?? CHART_COLORS.net,
+                pointBorderColor: "#0b1224",
+                pointBorderWidth: 1,
+                borderColor: CHART_COLORS.net,
+                backgroundColor: CHART_COLORS.net,
+                order: -1
+            }];
+        }
+
+        // Series of every compared symbol on the union of their dates, so a symbol
+        // missing on some day shows a gap instead of shifting the others.
+        collectComparison() {
+            const series = COMPARE_SERIES[this.compareSeries];
+            const histories = this.compareSymbols.map(symbol => ({
+                symbol,
+                history: this.repository.getSymbolHistory(symbol, this.asOfDate)
+            }));
+            const dates = [...new Set(histories.flatMap(item => item.history.map(entry => entry.date)))].sort();
+            return {
+                dates,
+                items: histories.map(({ symbol, history }) => {
+                    const byDate = new Map(history.map(entry => [entry.date, entry]));
+                    return {
+                        symbol,
+                        history,
+                        values: dates.map(date => (byDate.has(date) ? series.read(byDate.get(date)) ?? null : null))
+                    };
+                })
+            };
+        }
+
+        updateComparisonChart() {
+            if (this.elements.chartTitle) {
+                this.elements.chartTitle.textContent = `مقایسهٔ ${COMPARE_SERIES[this.compareSeries].label}`;
+            }
+            if (!this.compareSymbols.length) {
+                this.showChartPlaceholder("برای مقایسه، تا ۵ نماد را از جدول انتخاب کنید.");
+                if (this.elements.chartStatus) this.elements.chartStatus.textContent = "نمادی برای مقایسه انتخاب نشده است";
+                return;
+            }
+
+            const { dates, items } = this.collectComparison();
+            if (!dates.length) {
+                this.showChartPlaceholder("برای نمادهای انتخابی تاریخچه‌ای در فایل داده وجود ندارد.");
+                return;
+            }
+            clearCanvasPlaceholder(this.elements.chartCanvas);
+
+            const timeline = buildCalendarTimeline(dates);
+            const scale = COMPARE_SCALES[this.compareScale];
+            this.destroyChart();
+
+            const ctx = this.elements.chartCanvas.getContext("2d");
+            this.chart = new Chart(ctx, {
+                type: "line",
+                plugins: [CALENDAR_BANDS_PLUGIN],
+                data: {
+                    datasets: items.map((item, index) => ({
+                        label: item.symbol,
+                        data: withMissingDayGaps(toCalendarPoints(dates, scale.apply(item.values)), timeline),
+                        borderColor: COMPARE_COLORS[index],
+                        backgroundColor: COMPARE_COLORS[index],
+                        borderWidth: 2,
+                        tension: 0.3,
+                        pointRadius: 3,
+                        spanGaps: false,
+                        fill: false
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        mode: "index",
+                        intersect: false
+                    },
+                    scales: {
+                        x: calendarAxis(timeline, "#d1d8f4"),
+                        y: {
+                            grid: {
+                                color: "rgba(148, 163, 184, 0.08)"
+                            },
+                            ticks: {
+                                color: "#d1d8f4",
+                                callback: value => DECIMAL_FORMAT.format(value)
+                            }
+                        }
+                    },
+                    plugins: {
+                        calendarBands: {
+                            bands: timeline.bands
+                        },
+                        legend: {
+                            labels: {
+                                color: "#d1d8f4"
+                            }
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                title: calendarTooltipTitle,
+                                label: context => `${context.dataset.label}: ${DECIMAL_FORMAT.format(context.parsed.y)}`
+                            }
+                        }
+                    }
+                }
+            });
+
+            if (this.elements.chartStatus) {
+                this.elements.chartStatus.textContent = `${NUMBER_FORMAT.format(items.length)} نماد، ${scale.label} (برای پنهان‌کردن هر نماد روی راهنما کلیک کنید)`;
+            }
+        }
+
+        exportTable() {
+            return { name: "symbols", title: "جدول نمادها", date: this.asOfDate, ...this.table.exportTable() };
+        }
+
+        exportHistory() {
+            const symbol = this.currentSymbol;
+            if (!symbol) return null;
+            const schema = this.repository.getSchema(this.asOfDate ?? undefined);
+            return {
+                name: `history-${symbol}`,
+                title: `تاریخچهٔ ${symbol}`,
+                date: this.asOfDate,
+                columns: [
+                    { key: "date", label: "تاریخ" },
+                    ...["buy", "sell", "net", "volume7", "volume21", "pmRatio"].map(key => ({ key, label: schema.labelOf(key) }))
+                ],
+                rows: this.repository
+                    .getSymbolHistory(symbol, this.asOfDate)
+                    .map(item => ({ ...item, date: formatDateLabel(item.date) }))
+            };
+        }
+
+        destroyChart() {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+        }
+
+        resize() {
+            if (this.chart) {
+                this.chart.resize();
+            }
+        }
+
+        updateSummary() {
+            if (this.compareMode) {
+                this.updateComparisonSummary();
+                return;
+            }
+            const summary = this.repository.getSymbolSummary(this.currentSymbol, this.asOfDate);
+            if (!summary) {
+                this.resetSummary();
+                return;
+            }
+
+            const { latest, averages } = summary;
+            const formatAverage = (value, format) => (value == null ? "—" : format(value));
+            this.elements.summary.net.textContent = formatAverage(averages.net, value => DECIMAL_FORMAT.format(value));
+            this.elements.summary.buy.textContent = formatAverage(averages.buy, value => DECIMAL_FORMAT.format(value));
+            this.elements.summary.sell.textContent = formatAverage(averages.sell, value => DECIMAL_FORMAT.format(value));
+            this.elements.summary.volume7.textContent = formatAverage(averages.volume7, value => NUMBER_FORMAT.format(Math.round(value)));
+            this.elements.summary.volume21.textContent = formatAverage(averages.volume21, value => NUMBER_FORMAT.format(Math.round(value)));
+            this.elements.summary.latestDate.textContent = formatDateLabel(latest.date);
+
+            const latestRecord = this.symbols.find(
+                item => normalizeText(resolveSymbol(item)) === normalizeText(this.currentSymbol)
+            );
+
+            if (!latestRecord) {
+                this.elements.summary.details.innerHTML = "<p>اطلاعات تکمیلی در فایل داده موجود نیست.</p>";
+                return;
+            }
+
+            const metrics = this.repository.read(latestRecord);
+            const schema = this.repository.getSchema(this.asOfDate ?? undefined);
+            const formatMetric = (value, format) => (value == null ? "—" : format(value));
+            const infoMap = [
+                ["pmRatio", value => value.toFixed(2)],
+                ["priceGap", value => `${value.toFixed(2)}٪`],
+                ["risk", value => {
+                    const badge = this.riskClassifier.classify(value);
+                    return `<span class="${badge.className}" title="${escapeHtml(badge.title)}">${escapeHtml(badge.text)}</span>${badge.bucket ? ` ${escapeHtml(badge.bucket.label)}` : ""}`;
+                }],
+                ["volumeToday", value => NUMBER_FORMAT.format(Math.round(value))],
+                ["realMoneyFlow", value => DECIMAL_FORMAT.format(value)],
+                ["buyRatio", value => DECIMAL_FORMAT.format(value)],
+                ["sellRatio", value => DECIMAL_FORMAT.format(value)]
+            ]
+                .filter(([metric]) => schema.has(metric))
+                .map(([metric, format]) => [schema.labelOf(metric), formatMetric(metrics[metric], format)]);
+            infoMap.push(["منبع تاریخ", this.describeDateSource(latestRecord)]);
+
+            this.elements.summary.details.innerHTML = `
+                <dl>
+                    ${infoMap
+                        .map(([key, value]) => `<dt>${key}</dt><dd>${value}</dd>`)
+                        .join("")}
+                </dl>
+            `;
+        }
+
+        updateComparisonSummary() {
+            if (!this.compareSymbols.length) {
+                this.resetSummary();
+                return;
+            }
+
+            const { items } = this.collectComparison();
+            const [reference] = items;
+            const average = (history, key) => summarizeHistory(history)?.averages[key] ?? null;
+            const latestOf = history => summarizeHistory(history)?.latest ?? null;
+            const format = value => (value == null ? "—" : DECIMAL_FORMAT.format(value));
+            const rows = [
+                ["میانگین خالص", item => format(average(item.history, "net"))],
+                ["میانگین خرید", item => format(average(item.history, "buy"))],
+                ["میانگین فروش", item => format(average(item.history, "sell"))],
+                ["آخرین P/M", item => format(latestOf(item.history)?.pmRatio ?? null)],
+                ["آخرین تاریخ", item => (item.history.length ? formatDateLabel(latestOf(item.history).date) : "—")],
+                [`همبستگی با ${reference.symbol}`, item => format(item === reference ? 1 : correlation(reference.values, item.values))]
+            ];
+
+            this.elements.summary.details.innerHTML = `
+                <table class="compare-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${items.map((item, index) => `<th style="color:${COMPARE_COLORS[index]}">${escapeHtml(item.symbol)}</th>`).join("")}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows
+                            .map(([label, read]) => `<tr><th>${escapeHtml(label)}</th>${items.map(item => `<td>${read(item)}</td>`).join("")}</tr>`)
+                            .join("")}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        describeDateSource(record) {
+            const resolution = this.repository.explainDate(record);
+            if (!resolution?.date) return "—";
+            return `${resolution.label} (${escapeHtml(resolution.raw)})`;
+        }
+
+        resetSummary() {
+            this.elements.summary.net.textContent = "0.000";
+            this.elements.summary.buy.textContent = "0.000";
+            this.elements.summary.sell.textContent = "0.000";
+            this.elements.summary.volume7.textContent = "0";
+            this.elements.summary.volume21.textContent = "0";
+            this.elements.summary.latestDate.textContent = "—";
+            this.elements.summary.details.innerHTML = "<p>نمادی انتخاب نشده است.</p>";
+        }
+
+        showChartPlaceholder(message) {
+            this.destroyChart();
+            showCanvasPlaceholder(this.elements.chartCanvas, message);
+        }
+    }
+
+    const TOP_PRESET_STORAGE_KEY = "iranoi.topPresets";
+    const TOP_SYMBOL_LIMITS = Object.freeze([10, 20, 50]);
+    const DEFAULT_TOP_SETTINGS = Object.freeze({ metric: "volume7", limit: 10, minVolume: null });
+    // Every metric ranks descending; `change` is the day-over-day change in net.
+    const TOP_RANKING_METRICS = Object.freeze({
+        volume7: { label: "حجم ۷ روزه", format: value => NUMBER_FORMAT.format(Math.round(value)) },
+        volume21: { label: "حجم ماهانه", format: value => NUMBER_FORMAT.format(Math.round(value)) },
+        pmRatio: { label: "P/M", format: value => DECIMAL_FORMAT.format(value) },
+        net: { label: "نسبت خرید − فروش", format: value => DECIMAL_FORMAT.format(value) },
+        risk: { label: "ریسک", format: value => DECIMAL_FORMAT.format(value) },
+        change: { label: "تغییر روزانهٔ خالص", format: value => DECIMAL_FORMAT.format(value) }
+    });
+
+    const normalizeTopSettings = settings => {
+        const metric = TOP_RANKING_METRICS[settings?.metric] ? settings.metric : DEFAULT_TOP_SETTINGS.metric;
+        const limit = TOP_SYMBOL_LIMITS.includes(Number(settings?.limit)) ? Number(settings.limit) : DEFAULT_TOP_SETTINGS.limit;
+        const minVolume = Number(settings?.minVolume);
+        return { metric, limit, minVolume: settings?.minVolume != null && minVolume > 0 ? minVolume : null };
+    };
+
+    class TopSymbolsView {
+        constructor(repository) {
+            this.repository = repository;
+            this.chart = null;
+            this.flowCharts = { inflow: null, outflow: null };
+            this.date = null;
+            this.ranking = [];
+            this.flows = { inflow: [], outflow: [] };
+            this.settings = { ...DEFAULT_TOP_SETTINGS };
+            this.presets = this.loadPresets();
+            this.activePreset = null;
+            this.elements = {
+                title: document.getElementById("topSymbolsTitle"),
+                rankingLabel: document.getElementById("topRankingLabel"),
+                date: document.getElementById("topSymbolsDate"),
+                metric: document.getElementById("topMetric"),
+                limit: document.getElementById("topLimit"),
+                minVolume: document.getElementById("topMinVolume"),
+                frame: document.getElementById("topVolumeFrame"),
+                inflowFrame: document.getElementById("topInflowFrame"),
+                outflowFrame: document.getElementById("topOutflowFrame"),
+                inflowStatus: document.getElementById("topInflowStatus"),
+                outflowStatus: document.getElementById("topOutflowStatus"),
+                presetActive: document.getElementById("topPresetActive"),
+                presetName: document.getElementById("topPresetName"),
+                presetSave: document.getElementById("topPresetSave"),
+                presetMessage: document.getElementById("topPresetMessage"),
+                presetList: document.getElementById("topPresetList")
+            };
+        }
+
+        init() {
+            const { metric, limit, minVolume, presetSave, presetList } = this.elements;
+            if (metric) {
+                metric.innerHTML = Object.entries(TOP_RANKING_METRICS)
+                    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+                    .join("");
+            }
+            this.renderControls();
+            this.renderPresets();
+
+            const update = () => {
+                this.settings = normalizeTopSettings({
+                    metric: metric?.value,
+                    limit: limit?.value,
+                    minVolume: minVolume?.value.trim() ? toLatinDigits(minVolume.value.trim()) : null
+                });
+                this.activePreset = null;
+                this.renderPresets();
+                this.render(this.date);
+            };
+            metric?.addEventListener("change", update);
+            limit?.addEventListener("change", update);
+            minVolume?.addEventListener("change", update);
+            presetSave?.addEventListener("click", () => this.savePreset());
+            presetList?.addEventListener("click", event => {
+                const button = event.target.closest("button[data-preset-action]");
+                if (!button) return;
+                const preset = this.presets[Number(button.dataset.presetIndex)];
+                if (!preset) return;
+                if (button.dataset.presetAction === "apply") {
+                    this.settings = normalizeTopSettings(preset);
+                    this.activePreset = preset.name;
+                    this.renderControls();
+                    this.render(this.date);
+                } else if (button.dataset.presetAction === "delete") {
+                    this.presets = this.presets.filter(item => item !== preset);
+                    if (this.activePreset === preset.name) this.activePreset = null;
+                    this.persistPresets();
+                }
+                this.renderPresets();
+            });
+
+            this.render(this.repository.latestDate);
+        }
+
+        renderControls() {
+            const { metric, limit, minVolume } = this.elements;
+            if (metric) metric.value = this.settings.metric;
+            if (limit) limit.value = String(this.settings.limit);
+            if (minVolume) minVolume.value = this.settings.minVolume ?? "";
+        }
+
+        loadPresets() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(TOP_PRESET_STORAGE_KEY) ?? "[]");
+                return Array.isArray(stored)
+                    ? stored.filter(preset => preset?.name).map(preset => ({ name: preset.name, ...normalizeTopSettings(preset) }))
+                    : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        persistPresets() {
+            try {
+                localStorage.setItem(TOP_PRESET_STORAGE_KEY, JSON.stringify(this.presets));
+            } catch (error) {
+                console.warn("ذخیرهٔ پیش‌تنظیم‌های رتبه‌بندی ممکن نشد.", error);
+            }
+        }
+
+        savePreset() {
+            const name = this.elements.presetName?.value.trim();
+            if (!name) {
+                this.showPresetMessage("برای ذخیره، نام پیش‌تنظیم را وارد کنید.", true);
+                return;
+            }
+            const existing = this.presets.find(preset => preset.name === name);
+            if (existing) {
+                Object.assign(existing, this.settings);
+            } else {
+                this.presets.push({ name, ...this.settings });
+            }
+            this.activePreset = name;
+            this.persistPresets();
+            this.elements.presetName.value = "";
+            this.renderPresets();
+            this.showPresetMessage(`پیش‌تنظیم «${name}» ذخیره شد.`);
+        }
+
+        describeSettings(settings) {
+            const parts = [TOP_RANKING_METRICS[settings.metric].label, `${NUMBER_FORMAT.format(settings.limit)} نماد`];
+            if (settings.minVolume != null) {
+                parts.push(`حجم ۷ روزه ≥ ${NUMBER_FORMAT.format(settings.minVolume)}`);
+            }
+            return parts.join("، ");
+        }
+
+        renderPresets() {
+            if (this.elements.presetActive) {
+                this.elements.presetActive.textContent = this.activePreset ? `(فعال: ${this.activePreset})` : "";
+            }
+            const list = this.elements.presetList;
+            if (!list) return;
+            if (!this.presets.length) {
+                list.innerHTML = `<li class="screener-empty">هنوز پیش‌تنظیمی ذخیره نشده است.</li>`;
+                return;
+            }
+            list.innerHTML = this.presets
+                .map((preset, index) => `
+                    <li class="${preset.name === this.activePreset ? "is-active" : ""}">
+                        <div>
+                            <strong>${escapeHtml(preset.name)}</strong>
+                            <span>${this.describeSettings(preset)}</span>
+                        </div>
+                        <button type="button" class="ma-chip" data-preset-action="apply" data-preset-index="${index}">اعمال</button>
+                        <button type="button" class="ma-chip" data-preset-action="delete" data-preset-index="${index}">حذف</button>
+                    </li>
+                `)
+                .join("");
+        }
+
+        showPresetMessage(message, isError = false) {
+            if (!this.elements.presetMessage) return;
+            this.elements.presetMessage.textContent = message;
+            this.elements.presetMessage.classList.toggle("is-error", isError);
+        }
+
+        // Ranking values keyed by record; `change` pairs each symbol with the snapshot before the as-of date.
+        metricValues(records) {
+            const { metric } = this.settings;
+            const values = new Map();
+            if (metric !== "change") {
+                records.forEach(record => {
+                    const value = this.repository.read(record)[metric];
+                    values.set(record, typeof value === "number" ? value : null);
+                });
+                return values;
+            }
+            const { dates } = this.repository;
+            const previousDate = dates[dates.indexOf(this.date) - 1];
+            const previous = new Map(
+                this.repository.getRecords(previousDate).map(record => [this.repository.symbolKey(record), record])
+            );
+            records.forEach(record => {
+                const before = this.repository.read(previous.get(this.repository.symbolKey(record))).net;
+                const after = this.repository.read(record).net;
+                values.set(record, typeof before === "number" && typeof after === "number" ? after - before : null);
+            });
+            return values;
+        }
+
+        render(asOfDate) {
+            const date = this.repository.resolveDate(asOfDate);
+            const { metric, limit, minVolume } = this.settings;
+            const definition = TOP_RANKING_METRICS[metric];
+            this.date = date;
+            this.ranking = [];
+            this.flows = { inflow: [], outflow: [] };
+            if (this.elements.title) {
+                this.elements.title.textContent = `${NUMBER_FORMAT.format(limit)} نماد برتر`;
+            }
+            if (this.elements.rankingLabel) this.elements.rankingLabel.textContent = this.describeSettings(this.settings);
+            if (this.elements.date) this.elements.date.textContent = formatDateLabel(date);
+            [this.elements.frame, this.elements.inflowFrame, this.elements.outflowFrame].forEach(frame => {
+                if (frame) frame.dataset.rows = String(limit);
+            });
+
+            const volumeOf = item => this.repository.read(item).volume7 ?? 0;
+            const records = this.repository
+                .getRecordsAsOf(date)
+                .filter(item => volumeOf(item) > 0 && (minVolume == null || volumeOf(item) >= minVolume));
+            if (!records.length) {
+                this.destroyChart();
+                const message = this.repository.getRecordsAsOf(date).length
+                    ? "هیچ نمادی شرایط حجم موثر را نداشت."
+                    : "برای رسم نمودار رتبه‌بندی نمادها، داده‌ای موجود نیست.";
+                ["topVolumeChart", "topInflowChart", "topOutflowChart"].forEach(id => this.showPlaceholder(id, message));
+                this.renderFlowStatus();
+                return;
+            }
+
+            const values = this.metricValues(records);
+            this.ranking = records
+                .filter(item => values.get(item) != null)
+                .sort((a, b) => values.get(b) - values.get(a))
+                .slice(0, limit)
+                .map(item => ({ record: item, value: values.get(item) }));
+
+            const netOf = item => this.repository.read(item).net;
+            this.flows = {
+                inflow: records.filter(item => netOf(item) < 0).sort((a, b) => netOf(a) - netOf(b)).slice(0, limit),
+                outflow: records.filter(item => netOf(item) > 0).sort((a, b) => netOf(b) - netOf(a)).slice(0, limit)
+            };
+
+            this.destroyChart();
+            if (this.ranking.length) {
+                this.renderRankingChart(definition);
+            } else {
+                this.showPlaceholder("topVolumeChart", `برای ${definition.label} در این تاریخ مقداری ثبت نشده است.`);
+            }
+            this.renderFlowCharts();
+            this.renderFlowStatus();
+        }
+
+        renderRankingChart(definition) {
+            const canvas = document.getElementById("topVolumeChart");
+            if (!canvas) return;
+            clearCanvasPlaceholder(canvas);
+
+            const labels = this.ranking.map(({ record }) => resolveSymbol(record) || "—");
+            const netValues = this.ranking.map(({ record }) => this.repository.read(record).net ?? 0);
+            const volumes = this.ranking.map(({ record }) => this.repository.read(record).volume7 ?? 0);
+
+            const ctx = canvas.getContext("2d");
+            this.chart = new Chart(ctx, {
+                type: "bar",
+                data: {
+                    labels,
+                    datasets: [
+                        {
+                            label: definition.label,
+                            data: this.ranking.map(({ value }) => value),
+                            backgroundColor: netValues.map(net => net < 0 ? CHART_COLORS.buy : CHART_COLORS.sell),
+                            borderRadius: 6,
+                            borderSkipped: false,
+                            borderWidth: 1,
+                            borderColor: "rgba(15, 23, 42, 0.6)"
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    indexAxis: "y",
+                    scales: {
+                        x: {
+                            grid: {
+                                color: "rgba(148, 163, 184, 0.08)"
+                            },
+                            ticks: {
+                                color: "#cbd5f5",
+                                callback: value => NUMBER_FORMAT.format(value)
+                            }
+                        },
+                        y: {
+                            grid: {
+                                display: false
+                            },
+                            ticks: {
+                                color: "#d1d8f4",
+                                autoSkip: false
+                            }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                label: context => {
+                                    const lines = [`${definition.label}: ${definition.format(context.parsed.x)}`];
+                                    if (this.settings.metric !== "volume7") {
+                                        lines.push(`حجم ۷ روزه: ${NUMBER_FORMAT.format(Math.round(volumes[context.dataIndex]))}`);
+                                    }
+                                    lines.push(`خالص OI: ${DECIMAL_FORMAT.format(netValues[context.dataIndex])}`);
+                                    return lines;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        // The two flow charts share one x range and grow outwards from the gap between
+        // them: inflow (on the right in RTL) runs left to right, outflow is reversed.
+        renderFlowCharts() {
+            const magnitude = item => Math.abs(this.repository.read(item).net ?? 0);
+            const max = Math.max(0, ...this.flows.inflow.map(magnitude), ...this.flows.outflow.map(magnitude));
+            [
+                { key: "inflow", canvasId: "topInflowChart", color: CHART_COLORS.buy, reverse: false },
+                { key: "outflow", canvasId: "topOutflowChart", color: CHART_COLORS.sell, reverse: true }
+            ].forEach(({ key, canvasId, color, reverse }) => {
+                const items = this.flows[key];
+                if (!items.length) {
+                    this.showPlaceholder(canvasId, key === "inflow"
+                        ? "در این تاریخ نمادی با ورود پول هوشمند نبود."
+                        : "در این تاریخ نمادی با خروج پول هوشمند نبود.");
+                    return;
+                }
+                const canvas = document.getElementById(canvasId);
+                if (!canvas) return;
+                clearCanvasPlaceholder(canvas);
+
+                this.flowCharts[key] = new Chart(canvas.getContext("2d"), {
+                    type: "bar",
+                    data: {
+                        labels: items.map(item => resolveSymbol(item) || "—"),
+                        datasets: [
+                            {
+                                label: "خالص OI",
+                                data: items.map(magnitude),
+                                backgroundColor: color,
+                                borderRadius: 6,
+                                borderSkipped: false
+                            }
+                        ]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        indexAxis: "y",
+                        scales: {
+                            x: {
+                                reverse,
+                                min: 0,
+                                max: max || undefined,
+                                grid: {
+                                    color: "rgba(148, 163, 184, 0.08)"
+                                },
+                                ticks: {
+                                    color: "#cbd5f5",
+                                    callback: value => NUMBER_FORMAT.format(value)
+                                }
+                            },
+                            y: {
+                                position: reverse ? "left" : "right",
+                                grid: {
+                                    display: false
+                                },
+                                ticks: {
+                                    color: "#d1d8f4",
+                                    autoSkip: false
+                                }
+                            }
+                        },
+                        plugins: {
+                            legend: {
+                                display: false
+                            },
+                            tooltip: {
+                                backgroundColor: "rgba(11, 18, 36, 0.92)",
+                                borderColor: "rgba(148, 163, 184, 0.3)",
+                                borderWidth: 1,
+                                padding: 12,
+                                callbacks: {
+                                    label: context => {
+                                        const metrics = this.repository.read(items[context.dataIndex]);
+                                        return [
+                                            `خالص OI: ${DECIMAL_FORMAT.format(metrics.net)}`,
+                                            `حجم ۷ روزه: ${NUMBER_FORMAT.format(Math.round(metrics.volume7 ?? 0))}`
+                                        ];
+                                    }
+                                }
+                            }
+                        }
+                    }
+                });
+            });
+        }
+
+        renderFlowStatus() {
+            const { inflowStatus, outflowStatus } = this.elements;
+            if (inflowStatus) inflowStatus.textContent = `${NUMBER_FORMAT.format(this.flows.inflow.length)} نماد`;
+            if (outflowStatus) outflowStatus.textContent = `${NUMBER_FORMAT.format(this.flows.outflow.length)} نماد`;
+        }
+
+        exportTable() {
+            const definition = TOP_RANKING_METRICS[this.settings.metric];
+            const flowOf = record => {
+                if (this.flows.inflow.includes(record)) return "ورود";
+                if (this.flows.outflow.includes(record)) return "خروج";
+                return "";
+            };
+            return {
+                name: "top",
+                title: `رتبه‌بندی نمادها بر اساس ${definition.label}`,
+                date: this.date,
+                columns: [
+                    { key: "rank", label: "رتبه" },
+                    { key: "symbol", label: "نماد" },
+                    { key: "value", label: definition.label },
+                    { key: "volume7", label: "حجم ۷ روزه" },
+                    { key: "net", label: "خالص OI" },
+                    { key: "flow", label: "فهرست جریان" }
+                ],
+                rows: this.ranking.map(({ record, value }, index) => {
+                    const metrics = this.repository.read(record);
+                    return {
+                        rank: index + 1,
+                        symbol: resolveSymbol(record),
+                        value,
+                        volume7: metrics.volume7,
+                        net: metrics.net,
+                        flow: flowOf(record)
+                    };
+                })
+            };
+        }
+
+        destroyChart() {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+            Object.keys(this.flowCharts).forEach(key => {
+                this.flowCharts[key]?.destroy();
+                this.flowCharts[key] = null;
+            });
+        }
+
+        resize() {
+            if (this.chart) {
+                this.chart.resize();
+            }
+            Object.values(this.flowCharts).forEach(chart => chart?.resize());
+        }
+
+        showPlaceholder(canvasId, message) {
+            showCanvasPlaceholder(document.getElementById(canvasId), message);
+        }
+    }
+
+    const TREEMAP_HEIGHT = 480;
+    const TREEMAP_GROUP_HEADER = 18;
+    // `invert` keeps the net colouring of the other views: a negative net, and a
+    // day-over-day move towards it, is drawn green.
+    const TREEMAP_METRICS = Object.freeze({
+        pmRatio: { label: "P/M", format: formatFixed(2) },
+        net: { label: "خرید − فروش", format: formatFixed(2), invert: true },
+        change: { label: "تغییر روزانهٔ خالص", format: formatFixed(2), invert: true }
+    });
+
+    const DIVERGING_NEUTRAL = [71, 85, 105];
+    const DIVERGING_POSITIVE = [34, 197, 94];
+    const DIVERGING_NEGATIVE = [239, 68, 68];
+
+    // Grey at zero, shading to green above and red below; |value| >= limit is fully saturated.
+    const divergingColor = (value, limit, alpha = 1) => {
+        const scaled = value == null || !limit ? 0 : Math.max(-1, Math.min(1, value / limit));
+        const target = scaled >= 0 ? DIVERGING_POSITIVE : DIVERGING_NEGATIVE;
+        const channels = DIVERGING_NEUTRAL.map((channel, index) => Math.round(channel + (target[index] - channel) * Math.abs(scaled)));
+        return `rgba(${channels.join(", ")}, ${alpha})`;
+    };
+
+    // Every symbol of the as-of date as one tile: the area is its 7-day volume and
+    // the colour a diverging scale of the chosen metric, clipped at the 90th
+    // percentile of |value| so a few outliers do not wash out the rest.
+    class TreemapView {
+        constructor(repository, onSelect) {
+            this.repository = repository;
+            this.onSelect = onSelect;
+            this.sectorMap = new SectorMap();
+            this.metricId = "pmRatio";
+            this.grouped = false;
+            this.date = null;
+            this.items = [];
+            this.tiles = [];
+            this.groups = [];
+            this.limit = null;
+            this.frame = null;
+            this.elements = {
+                metric: document.getElementById("treemapMetric"),
+                group: document.getElementById("treemapGroup"),
+                legend: document.getElementById("treemapLegend"),
+                wrapper: document.getElementById("treemapWrapper"),
+                canvas: document.getElementById("treemapCanvas"),
+                tooltip: document.getElementById("treemapTooltip"),
+                status: document.getElementById("treemapStatus")
+            };
+        }
+
+        init() {
+            const { metric, group, canvas } = this.elements;
+            if (metric) {
+                metric.innerHTML = Object.entries(TREEMAP_METRICS)
+                    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+                    .join("");
+                metric.value = this.metricId;
+                metric.addEventListener("change", () => {
+                    this.metricId = metric.value;
+                    this.render(this.date);
+                });
+            }
+            if (group) {
+                group.checked = this.grouped;
+                group.disabled = !this.sectorMap.size;
+                group.addEventListener("change", () => {
+                    this.grouped = group.checked;
+                    this.draw();
+                });
+            }
+            canvas?.addEventListener("mousemove", event => this.showTooltip(event));
+            canvas?.addEventListener("mouseleave", () => this.hideTooltip());
+            canvas?.addEventListener("click", event => {
+                const tile = this.tileAt(event);
+                if (tile && typeof this.onSelect === "function") this.onSelect(tile.symbol);
+            });
+            window.addEventListener("resize", () => {
+                if (this.frame) return;
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.resize();
+                });
+            });
+            this.render(this.repository.latestDate);
+        }
+
+        metricValues(records) {
+            if (this.metricId !== "change") {
+                return records.map(record => this.repository.read(record)[this.metricId] ?? null);
+            }
+            const { dates } = this.repository;
+            const previousDate = dates[dates.indexOf(this.date) - 1];
+            const previous = new Map(
+                this.repository.getRecords(previousDate).map(record => [normalizeText(resolveSymbol(record)), record])
+            );
+            return records.map(record => {
+                const before = this.repository.read(previous.get(normalizeText(resolveSymbol(record)))).net;
+                const after = this.repository.read(record).net;
+                return typeof before === "number" && typeof after === "number" ? after - before : null;
+            });
+        }
+
+        render(asOfDate) {
+            this.date = this.repository.resolveDate(asOfDate);
+            const records = this.repository.getRecords(this.date);
+            const values = this.metricValues(records);
+            this.items = records
+                .map((record, index) => ({
+                    symbol: resolveSymbol(record),
+                    record,
+                    value: this.repository.read(record).volume7 ?? 0,
+                    metric: values[index]
+                }))
+                .filter(item => item.symbol);
+
+            const magnitudes = this.items
+                .filter(item => item.value > 0 && item.metric != null)
+                .map(item => Math.abs(item.metric))
+                .sort((a, b) => a - b);
+            this.limit = quantile(magnitudes, 0.9) || magnitudes[magnitudes.length - 1] || null;
+
+            if (this.elements.group) this.elements.group.disabled = !this.sectorMap.size;
+            this.renderLegend();
+            this.renderStatus();
+            this.draw();
+        }
+
+        colorOf(value) {
+            const definition = TREEMAP_METRICS[this.metricId];
+            return divergingColor(value != null && definition.invert ? -value : value, this.limit);
+        }
+
+        renderLegend() {
+            const { legend } = this.elements;
+            if (!legend) return;
+            if (!this.limit) {
+                legend.textContent = "";
+                return;
+            }
+            const definition = TREEMAP_METRICS[this.metricId];
+            legend.innerHTML = `
+                <span>${definition.format(-this.limit)}</span>
+                <i style="background: linear-gradient(to left, ${this.colorOf(-this.limit)}, ${this.colorOf(0)}, ${this.colorOf(this.limit)})"></i>
+                <span>${definition.format(this.limit)}</span>
+            `;
+        }
+
+        renderStatus() {
+            const { status } = this.elements;
+            if (!status) return;
+            const shown = this.items.filter(item => item.value > 0);
+            const parts = [`${NUMBER_FORMAT.format(shown.length)} نماد در ${formatDateLabel(this.date)}`];
+            const skipped = this.items.length - shown.length;
+            if (skipped) parts.push(`${NUMBER_FORMAT.format(skipped)} نماد بدون حجم ۷ روزه نمایش داده نشد`);
+            const blank = shown.filter(item => item.metric == null).length;
+            if (blank) parts.push(`${NUMBER_FORMAT.format(blank)} نماد بدون مقدار ${TREEMAP_METRICS[this.metricId].label} (خاکستری)`);
+            status.textContent = parts.join("؛ ");
+        }
+
+        // Lays the tiles out in CSS pixels; with grouping, sectors are squarified
+        // first and each one keeps a header strip above its own tiles.
+        layout(width, height) {
+            const rect = { x: 0, y: 0, width, height };
+            if (!this.grouped || !this.sectorMap.size) {
+                return { tiles: squarify(this.items, rect), groups: [] };
+            }
+            const { groups, unmapped } = this.sectorMap.partition(this.items.map(item => item.record));
+            const byRecord = new Map(this.items.map(item => [item.record, item]));
+            const members = [
+                ...[...groups].map(([id, records]) => ({ name: this.sectorMap.getSector(id).name, records })),
+                { name: "سایر", records: unmapped }
+            ].map(group => {
+                const items = group.records.map(record => byRecord.get(record)).filter(Boolean);
+                return { name: group.name, items, value: items.reduce((sum, item) => sum + Math.max(item.value, 0), 0) };
+            });
+
+            const tiles = [];
+            const blocks = squarify(members, rect);
+            blocks.forEach(block => {
+                const header = block.height > TREEMAP_GROUP_HEADER * 2 ? TREEMAP_GROUP_HEADER : 0;
+                tiles.push(...squarify(block.items, {
+                    x: block.x,
+                    y: block.y + header,
+                    width: block.width,
+                    height: block.height - header
+                }));
+            });
+            return { tiles, groups: blocks.map(block => ({ ...block, header: block.height > TREEMAP_GROUP_HEADER * 2 })) };
+        }
+
+        draw() {
+            const { canvas, wrapper } = this.elements;
+            if (!canvas) return;
+            const width = wrapper?.clientWidth || canvas.clientWidth || 960;
+            const height = wrapper?.clientHeight || canvas.clientHeight || TREEMAP_HEIGHT;
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            this.hideTooltip();
+
+            if (!this.items.some(item => item.value > 0)) {
+                this.tiles = [];
+                this.groups = [];
+                showCanvasPlaceholder(canvas, "برای این تاریخ نمادی با حجم ۷ روزه وجود ندارد.");
+                return;
+            }
+            clearCanvasPlaceholder(canvas);
+
+            // squarify fills from the left; mirror x so the largest tiles start on the right.
+            const mirror = tile => ({ ...tile, x: width - tile.x - tile.width });
+            const { tiles, groups } = this.layout(width, height);
+            this.tiles = tiles.map(mirror);
+            this.groups = groups.map(mirror);
+
+            const ctx = canvas.getContext("2d");
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.fillStyle = "#0b1224";
+            ctx.fillRect(0, 0, width, height);
+            ctx.direction = "rtl";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+
+            const format = TREEMAP_METRICS[this.metricId].format;
+            this.tiles.forEach(tile => {
+                ctx.fillStyle = this.colorOf(tile.metric);
+                ctx.fillRect(tile.x, tile.y, tile.width, tile.height);
+                ctx.strokeStyle = "rgba(11, 18, 36, 0.9)";
+                ctx.lineWidth = 1;
+                ctx.strokeRect(tile.x, tile.y, tile.width, tile.height);
+                if (tile.width < 36 || tile.height < 16) return;
+
+                const size = Math.max(10, Math.min(18, Math.sqrt(tile.width * tile.height) / 5));
+                const centerX = tile.x + tile.width / 2;
+                const centerY = tile.y + tile.height / 2;
+                const showValue = tile.height > size * 2.6 && tile.metric != null;
+                ctx.fillStyle = "#f8fafc";
+                ctx.font = `600 ${size}px Vazirmatn, sans-serif`;
+                ctx.fillText(tile.symbol, centerX, showValue ? centerY - size * 0.6 : centerY, tile.width - 6);
+                if (showValue) {
+                    ctx.fillStyle = "rgba(248, 250, 252, 0.8)";
+                    ctx.font = `${size * 0.75}px Vazirmatn, sans-serif`;
+                    ctx.fillText(format(tile.metric), centerX, centerY + size * 0.6, tile.width - 6);
+                }
+            });
+
+            ctx.textAlign = "right";
+            this.groups.forEach(group => {
+                ctx.strokeStyle = "#0b1224";
+                ctx.lineWidth = 3;
+                ctx.strokeRect(group.x, group.y, group.width, group.height);
+                if (!group.header) return;
+                ctx.fillStyle = "#0f172a";
+                ctx.fillRect(group.x, group.y, group.width, TREEMAP_GROUP_HEADER);
+                ctx.fillStyle = "#cbd5f5";
+                ctx.font = "600 11px Vazirmatn, sans-serif";
+                ctx.fillText(group.name, group.x + group.width - 6, group.y + TREEMAP_GROUP_HEADER / 2, group.width - 12);
+            });
+        }
+
+        tileAt(event) {
+            const bounds = this.elements.canvas.getBoundingClientRect();
+            const x = event.clientX - bounds.left;
+            const y = event.clientY - bounds.top;
+            return this.tiles.find(tile =>
+                x >= tile.x && x < tile.x + tile.width && y >= tile.y && y < tile.y + tile.height
+            ) ?? null;
+        }
+
+        showTooltip(event) {
+            const { tooltip, wrapper } = this.elements;
+            const tile = this.tileAt(event);
+            if (!tooltip || !tile) {
+                this.hideTooltip();
+                return;
+            }
+            const definition = TREEMAP_METRICS[this.metricId];
+            const sector = this.sectorMap.sectorOf(tile.symbol);
+            tooltip.innerHTML = `
+                <strong>${escapeHtml(tile.symbol)}${sector ? ` — ${escapeHtml(sector.name)}` : ""}</strong>
+                <dl>
+                    <dt>${definition.label}</dt><dd>${tile.metric == null ? "—" : definition.format(tile.metric)}</dd>
+                    ${Object.entries(tile.record)
+                        .filter(([key]) => key !== "symbol")
+                        .map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(value ?? "—")}</dd>`)
+                        .join("")}
+                </dl>
+            `;
+            tooltip.hidden = false;
+
+            const bounds = wrapper.getBoundingClientRect();
+            const x = event.clientX - bounds.left;
+            const y = event.clientY - bounds.top;
+            const left = x + 16 + tooltip.offsetWidth > bounds.width ? x - tooltip.offsetWidth - 16 : x + 16;
+            const top = y + 16 + tooltip.offsetHeight > bounds.height ? y - tooltip.offsetHeight - 16 : y + 16;
+            tooltip.style.left = `${Math.max(0, left)}px`;
+            tooltip.style.top = `${Math.max(0, top)}px`;
+        }
+
+        hideTooltip() {
+            if (this.elements.tooltip) this.elements.tooltip.hidden = true;
+        }
+
+        exportTable() {
+            const definition = TREEMAP_METRICS[this.metricId];
+            return {
+                name: "treemap",
+                title: "نقشهٔ حرارتی کل بازار",
+                date: this.date,
+                columns: [
+                    { key: "symbol", label: "نماد" },
+                    { key: "sector", label: "صنعت" },
+                    { key: "volume7", label: "حجم ۷ روزه" },
+                    { key: "metric", label: definition.label }
+                ],
+                rows: this.items
+                    .filter(item => item.value > 0)
+                    .sort((a, b) => b.value - a.value)
+                    .map(item => ({
+                        symbol: item.symbol,
+                        sector: this.sectorMap.sectorOf(item.symbol)?.name ?? "",
+                        volume7: item.value,
+                        metric: item.metric
+                    }))
+            };
+        }
+
+        resize() {
+            this.draw();
+        }
+    }
+
+    const QUALITY_KIND_LABELS = Object.freeze({
+        missing: "فیلد عددی ناموجود",
+        nonNumeric: "مقدار غیرعددی",
+        outOfRange: "خارج از محدوده"
+    });
+
+    const MOVERS_LIMIT = 15;
+    const MOVER_METRICS = Object.freeze({
+        pmRatio: { metric: "pmRatio", label: "P/M", format: formatFixed(2) },
+        net: { metric: "net", label: "خرید − فروش", format: formatFixed(2) },
+        volume7: { metric: "volume7", label: "حجم ۷ روزه", format: value => NUMBER_FORMAT.format(Math.round(value)), relative: true },
+        risk: { metric: "risk", label: "ریسک", format: formatFixed(2) }
+    });
+
+    class MoversView {
+        constructor(repository, onSelect) {
+            this.repository = repository;
+            this.onSelect = onSelect;
+            this.previousDate = null;
+            this.date = null;
+            this.metricId = "pmRatio";
+            this.elements = {
+                from: document.getElementById("moversFrom"),
+                to: document.getElementById("moversTo"),
+                metric: document.getElementById("moversMetric"),
+                range: document.getElementById("moversRange"),
+                gainersBody: document.getElementById("moversGainersBody"),
+                losersBody: document.getElementById("moversLosersBody"),
+                added: document.getElementById("moversAdded"),
+                removed: document.getElementById("moversRemoved"),
+                panel: document.querySelector('[data-tab-panel="movers"]')
+            };
+        }
+
+        init() {
+            const { from, to, metric, panel } = this.elements;
+            if (metric) {
+                metric.innerHTML = Object.entries(MOVER_METRICS)
+                    .map(([id, definition]) => `<option value="${id}">${definition.label}</option>`)
+                    .join("");
+                metric.value = this.metricId;
+                metric.addEventListener("change", () => {
+                    this.metricId = metric.value;
+                    this.renderRankings();
+                });
+            }
+
+            from?.addEventListener("change", () => this.setRange(from.value, this.date));
+            to?.addEventListener("change", () => this.setRange(this.previousDate, to.value));
+
+            panel?.addEventListener("click", event => {
+                const target = event.target.closest("[data-symbol]");
+                if (target && typeof this.onSelect === "function") {
+                    this.onSelect(target.dataset.symbol);
+                }
+            });
+
+            this.render(this.repository.latestDate);
+        }
+
+        // Follows the global as-of date: compares it with the snapshot right before it.
+        renderOptions() {
+            const options = [...this.repository.dates]
+                .reverse()
+                .map(date => `<option value="${date}">${formatDateLabel(date)}</option>`)
+                .join("");
+            [this.elements.from, this.elements.to].forEach(select => {
+                if (select) select.innerHTML = options;
+            });
+        }
+
+        render(asOfDate) {
+            const { dates } = this.repository;
+            const date = this.repository.resolveDate(asOfDate);
+            this.renderOptions();
+            const index = dates.indexOf(date);
+            this.setRange(dates[Math.max(0, index - 1)] ?? null, date);
+        }
+
+        // A "from" date after the "to" date is swapped rather than compared backwards.
+        setRange(previousDate, date) {
+            if (previousDate && date && previousDate > date) {
+                [previousDate, date] = [date, previousDate];
+            }
+            this.previousDate = previousDate;
+            this.date = date;
+            if (this.elements.from && previousDate) this.elements.from.value = previousDate;
+            if (this.elements.to && date) this.elements.to.value = date;
+            if (this.elements.range) {
+                this.elements.range.textContent = previousDate && date
+                    ? `${formatDateLabel(previousDate)} ← ${formatDateLabel(date)}`
+                    : "نامشخص";
+            }
+            this.renderRankings();
+            this.renderListChanges();
+        }
+
+        computeChanges() {
+            const definition = MOVER_METRICS[this.metricId];
+            return this.repository
+                .pairSymbols(this.previousDate, this.date)
+                .map(({ symbol, previous, current }) => {
+                    const before = this.repository.read(previous)[definition.metric];
+                    const after = this.repository.read(current)[definition.metric];
+                    if (typeof before !== "number" || typeof after !== "number") return null;
+                    const delta = after - before;
+                    const percent = before !== 0 ? (delta / Math.abs(before)) * 100 : null;
+                    const score = definition.relative ? percent : delta;
+                    return score == null ? null : { symbol, before, after, delta, percent, score };
+                })
+                .filter(Boolean);
+        }
+
+        renderRankings() {
+            const { gainersBody, losersBody } = this.elements;
+            if (!gainersBody || !losersBody) return;
+
+            if (!this.previousDate || !this.date || this.previousDate === this.date) {
+                const message = `<tr><td colspan="5">دو تاریخ متفاوت برای مقایسه انتخاب کنید.</td></tr>`;
+                gainersBody.innerHTML = message;
+                losersBody.innerHTML = message;
+                return;
+            }
+
+            const definition = MOVER_METRICS[this.metricId];
+            const changes = this.computeChanges();
+            const describe = item => {
+                const sign = item.delta > 0 ? "+" : "";
+                const percent = item.percent == null ? "" : ` (${sign}${item.percent.toFixed(1)}٪)`;
+                return definition.relative
+                    ? `${sign}${item.percent.toFixed(1)}٪`
+                    : `${sign}${definition.format(item.delta)}${percent}`;
+            };
+            const renderRows = items =>
+                items.length
+                    ? items
+                          .map((item, index) => `
+                            <tr data-symbol="${escapeHtml(item.symbol)}">
+                                <td>${NUMBER_FORMAT.format(index + 1)}</td>
+                                <td>${escapeHtml(item.symbol)}</td>
+                                <td>${definition.format(item.before)}</td>
+                                <td>${definition.format(item.after)}</td>
+                                <td class="${item.delta > 0 ? "positive" : "negative"}">${describe(item)}</td>
+                            </tr>
+                        `)
+                          .join("")
+                    : `<tr><td colspan="5">تغییری در این شاخص ثبت نشده است.</td></tr>`;
+
+            const rising = changes.filter(item => item.score > 0).sort((a, b) => b.score - a.score);
+            const falling = changes.filter(item => item.score < 0).sort((a, b) => a.score - b.score);
+            gainersBody.innerHTML = renderRows(rising.slice(0, MOVERS_LIMIT));
+            losersBody.innerHTML = renderRows(falling.slice(0, MOVERS_LIMIT));
+        }
+
+        renderListChanges() {
+            const { added, removed } = this.elements;
+            if (!added || !removed) return;
+
+            const changes = this.previousDate && this.date && this.previousDate !== this.date
+                ? this.repository.compareSymbols(this.previousDate, this.date)
+                : { added: [], removed: [] };
+            // Removed symbols have no record on the "to" date, so there is nothing to open.
+            const renderList = (symbols, className, openable) =>
+                symbols.length
+                    ? `<ul class="symbol-chip-list">${symbols
+                          .map(symbol => openable
+                              ? `<li class="${className}"><button type="button" data-symbol="${escapeHtml(symbol)}">${escapeHtml(symbol)}</button></li>`
+                              : `<li class="${className}"><span>${escapeHtml(symbol)}</span></li>`)
+                          .join("")}</ul>`
+                    : "<p>—</p>";
+            added.innerHTML = renderList(changes.added, "is-added", true);
+            removed.innerHTML = renderList(changes.removed, "is-removed", false);
+        }
+    }
+
+    const SIGNAL_STORAGE_KEY = "iranoi.signals";
+    const SIGNAL_COLORS = Object.freeze({
+        buyStreak: CHART_COLORS.buy,
+        pmRising: "#a78bfa",
+        volumeBreakout: CHART_COLORS.ma,
+        netCrossover: "#f472b6"
+    });
+
+    // Integer parameters (days, periods) are rounded; ones with a step keep their fraction.
+    const clampSignalValue = (id, value) => {
+        const { param } = SIGNAL_PATTERNS[id];
+        const number = Number(value);
+        if (value === "" || value == null || !Number.isFinite(number)) return param.value;
+        const [min, max] = param.range;
+        return Math.min(max, Math.max(min, param.step ? number : Math.round(number)));
+    };
+
+    const signalDetail = signal => {
+        switch (signal.pattern) {
+            case "buyStreak":
+                return `${NUMBER_FORMAT.format(signal.length)} روز`;
+            case "pmRising":
+                return `${NUMBER_FORMAT.format(signal.length)} افزایش`;
+            case "volumeBreakout":
+                return `${DECIMAL_FORMAT.format(signal.ratio)} برابر حجم ماهانه`;
+            case "netCrossover":
+                return signal.direction === "up" ? "رو به بالا" : "رو به پایین";
+            default:
+                return "";
+        }
+    };
+
+    const describeSignal = signal => {
+        const detail = signalDetail(signal);
+        return detail ? `${signal.label}: ${detail}` : signal.label;
+    };
+
+    // Ranked list of the patterns still running on the as-of date. The settings
+    // object is shared with SymbolView, which marks the same patterns on its chart.
+    class SignalView {
+        constructor(repository, { onSelect, onChange } = {}) {
+            this.repository = repository;
+            this.onSelect = onSelect;
+            this.onChange = onChange;
+            this.settings = SignalView.loadSettings();
+            this.date = null;
+            this.signals = [];
+            this.elements = {
+                date: document.getElementById("signalDate"),
+                settings: document.getElementById("signalSettings"),
+                body: document.getElementById("signalTableBody"),
+                count: document.getElementById("signalCount")
+            };
+        }
+
+        static loadSettings() {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem(SIGNAL_STORAGE_KEY) ?? "{}") ?? {};
+            } catch (error) {
+                stored = {};
+            }
+            return Object.fromEntries(
+                Object.keys(SIGNAL_PATTERNS).map(id => [id, {
+                    enabled: stored[id]?.enabled ?? true,
+                    value: clampSignalValue(id, stored[id]?.value)
+                }])
+            );
+        }
+
+        save() {
+            try {
+                localStorage.setItem(SIGNAL_STORAGE_KEY, JSON.stringify(this.settings));
+            } catch (error) {
+                console.warn("ذخیرهٔ تنظیمات سیگنال‌ها ممکن نشد.", error);
+            }
+        }
+
+        init() {
+            const { settings, body } = this.elements;
+            this.renderSettings();
+            settings?.addEventListener("change", event => {
+                const option = event.target.closest("[data-signal]");
+                if (!option) return;
+                const setting = this.settings[option.dataset.signal];
+                if (event.target.type === "checkbox") {
+                    setting.enabled = event.target.checked;
+                } else {
+                    setting.value = clampSignalValue(option.dataset.signal, event.target.value);
+                    event.target.value = setting.value;
+                }
+                this.save();
+                this.render(this.date);
+                if (typeof this.onChange === "function") this.onChange(this.settings);
+            });
+            body?.addEventListener("click", event => {
+                const row = event.target.closest("tr[data-symbol]");
+                if (row && typeof this.onSelect === "function") this.onSelect(row.dataset.symbol);
+            });
+            this.render(this.repository.latestDate);
+        }
+
+        renderSettings() {
+            const container = this.elements.settings;
+            if (!container) return;
+            container.innerHTML = Object.entries(SIGNAL_PATTERNS)
+                .map(([id, pattern]) => {
+                    const setting = this.settings[id];
+                    const [min, max] = pattern.param.range;
+                    return `
+                        <div class="signal-option" data-signal="${id}" style="border-inline-start: 3px solid ${SIGNAL_COLORS[id]}">
+                            <label>
+                                <input type="checkbox" ${setting.enabled ? "checked" : ""}>
+                                <span>${pattern.label}</span>
+                            </label>
+                            <label>
+                                <small>${pattern.param.label}</small>
+                                <input type="number" min="${min}" max="${max}" step="${pattern.param.step ?? 1}" value="${setting.value}">
+                            </label>
+                        </div>
+                    `;
+                })
+                .join("");
+        }
+
+        render(asOfDate) {
+            this.date = this.repository.resolveDate(asOfDate);
+            if (this.elements.date) this.elements.date.textContent = formatDateLabel(this.date);
+            this.signals = this.date ? this.repository.scanSignals(this.settings, this.date) : [];
+            this.renderTable();
+        }
+
+        renderTable() {
+            const { body, count } = this.elements;
+            if (count) count.textContent = `(${NUMBER_FORMAT.format(this.signals.length)})`;
+            if (!body) return;
+            if (!this.signals.length) {
+                body.innerHTML = `<tr><td colspan="6">در این تاریخ هیچ الگوی فعالی پیدا نشد.</td></tr>`;
+                return;
+            }
+            body.innerHTML = this.signals
+                .map((signal, index) => `
+                    <tr data-symbol="${escapeHtml(signal.symbol)}">
+                        <td>${NUMBER_FORMAT.format(index + 1)}</td>
+                        <td>${escapeHtml(signal.symbol)}</td>
+                        <td>${signal.label}</td>
+                        <td>${formatDateLabel(signal.startDate)}</td>
+                        <td>${signalDetail(signal)}</td>
+                        <td>${DECIMAL_FORMAT.format(signal.strength)}</td>
+                    </tr>
+                `)
+                .join("");
+        }
+
+        exportTable() {
+            return {
+                name: "signals",
+                title: "سیگنال‌ها",
+                date: this.date,
+                columns: [
+                    { key: "rank", label: "رتبه" },
+                    { key: "symbol", label: "نماد" },
+                    { key: "label", label: "الگو" },
+                    { key: "startDate", label: "شروع" },
+                    { key: "detail", label: "جزئیات" },
+                    { key: "strength", label: "قدرت" }
+                ],
+                rows: this.signals.map((signal, index) => ({
+                    ...signal,
+                    rank: index + 1,
+                    startDate: formatDateLabel(signal.startDate),
+                    detail: signalDetail(signal)
+                }))
+            };
+        }
+    }
+
+    const SECTOR_MAP_URL = "sectors.json";
+
+    const loadSectorMap = async () => {
+        try {
+            const { data } = await fetchJson(SECTOR_MAP_URL);
+            return new SectorMap(data);
+        } catch (error) {
+            console.warn("نقشهٔ صنایع (sectors.json) خوانده نشد.", error);
+            return new SectorMap();
+        }
+    };
+
+    class SectorView {
+        constructor(repository, sectorMap, { onDrill, onSelect } = {}) {
+            this.repository = repository;
+            this.sectorMap = sectorMap;
+            this.onDrill = onDrill;
+            this.onSelect = onSelect;
+            this.chart = null;
+            this.date = null;
+            this.sectors = [];
+            this.rows = [];
+            this.selectedId = null;
+            this.elements = {
+                date: document.getElementById("sectorDate"),
+                status: document.getElementById("sectorMapStatus"),
+                tableBody: document.getElementById("sectorTableBody"),
+                chartCanvas: document.getElementById("sectorChart"),
+                chartTitle: document.getElementById("sectorChartTitle"),
+                chartStatus: document.getElementById("sectorChartStatus"),
+                drill: document.getElementById("sectorDrill"),
+                symbols: document.getElementById("sectorSymbols"),
+                unmapped: document.getElementById("sectorUnmapped"),
+                unmappedCount: document.getElementById("sectorUnmappedCount"),
+                conflicts: document.getElementById("sectorConflicts"),
+                panel: document.querySelector('[data-tab-panel="sectors"]')
+            };
+        }
+
+        init() {
+            const { tableBody, drill, panel } = this.elements;
+            tableBody?.addEventListener("click", event => {
+                const row = event.target.closest("tr[data-sector]");
+                if (row) this.select(row.dataset.sector);
+            });
+            drill?.addEventListener("click", () => {
+                const sector = this.sectorMap.getSector(this.selectedId);
+                if (sector && typeof this.onDrill === "function") this.onDrill(sector);
+            });
+            panel?.addEventListener("click", event => {
+                const target = event.target.closest("button[data-symbol]");
+                if (target && typeof this.onSelect === "function") this.onSelect(target.dataset.symbol);
+            });
+            this.render(this.repository.latestDate);
+        }
+
+        render(asOfDate) {
+            this.date = this.repository.resolveDate(asOfDate);
+            if (this.elements.date) this.elements.date.textContent = formatDateLabel(this.date);
+            this.renderStatus();
+
+            this.sectors = this.repository
+                .computeSectorSeries(this.sectorMap)
+                .map(sector => ({ ...sector, series: sector.series.filter(item => !this.date || item.date <= this.date) }));
+            this.rows = this.sectors
+                .map(sector => {
+                    const current = sector.series[sector.series.length - 1];
+                    if (!current || current.date !== this.date) return null;
+                    const previous = sector.series[sector.series.length - 2] ?? null;
+                    return { sector, current, change: previous ? current.net - previous.net : null };
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.current.volume - a.current.volume);
+
+            if (!this.rows.some(row => row.sector.id === this.selectedId)) {
+                this.selectedId = this.rows[0]?.sector.id ?? null;
+            }
+            this.renderTable();
+            this.renderSelection();
+            this.renderUnmapped();
+        }
+
+        renderStatus() {
+            const { status } = this.elements;
+            if (!status) return;
+            const mapped = this.sectorMap.sectors.reduce((total, sector) => total + sector.symbols.length, 0);
+            status.textContent = this.sectorMap.size
+                ? `${NUMBER_FORMAT.format(this.sectorMap.size)} صنعت و ${NUMBER_FORMAT.format(mapped)} نماد در sectors.json`
+                : "فایل sectors.json یافت نشد یا صنعتی در آن تعریف نشده است";
+        }
+
+        renderTable() {
+            const body = this.elements.tableBody;
+            if (!body) return;
+            if (!this.rows.length) {
+                body.innerHTML = `<tr><td colspan="8">برای این تاریخ هیچ نمادی از صنایع تعریف‌شده وجود ندارد.</td></tr>`;
+                return;
+            }
+            const format = value => (value == null ? "—" : DECIMAL_FORMAT.format(value));
+            body.innerHTML = this.rows
+                .map(({ sector, current, change }) => `
+                    <tr data-sector="${escapeHtml(sector.id)}" class="${sector.id === this.selectedId ? "is-active" : ""}">
+                        <td>${escapeHtml(sector.name)}</td>
+                        <td>${NUMBER_FORMAT.format(current.symbols)}</td>
+                        <td>${format(current.buy)}</td>
+                        <td>${format(current.sell)}</td>
+                        <td class="${current.net < 0 ? "positive" : current.net > 0 ? "negative" : ""}">${format(current.net)}</td>
+                        <td class="${change > 0 ? "positive" : change < 0 ? "negative" : ""}">${change == null ? "—" : `${change > 0 ? "▲" : change < 0 ? "▼" : ""} ${format(change)}`}</td>
+                        <td>${format(current.pmRatio)}</td>
+                        <td>${NUMBER_FORMAT.format(Math.round(current.volume))}</td>
+                    </tr>
+                `)
+                .join("");
+        }
+
+        select(id) {
+            this.selectedId = id;
+            this.elements.tableBody
+                ?.querySelectorAll("tr[data-sector]")
+                .forEach(row => row.classList.toggle("is-active", row.dataset.sector === id));
+            this.renderSelection();
+        }
+
+        renderSelection() {
+            const sector = this.sectors.find(item => item.id === this.selectedId);
+            if (this.elements.drill) this.elements.drill.disabled = !sector;
+            if (!sector || !sector.series.length) {
+                this.destroyChart();
+                if (this.elements.symbols) this.elements.symbols.innerHTML = "";
+                showCanvasPlaceholder(this.elements.chartCanvas, "صنعتی برای نمایش انتخاب نشده است.");
+                return;
+            }
+
+            if (this.elements.chartTitle) this.elements.chartTitle.textContent = `روند ${sector.name}`;
+            if (this.elements.chartStatus) {
+                this.elements.chartStatus.textContent = `${NUMBER_FORMAT.format(sector.series.length)} روز، ${NUMBER_FORMAT.format(sector.symbols.length)} نماد در نقشه`;
+            }
+            const present = new Set(this.repository.getRecords(this.date).map(record => normalizeText(resolveSymbol(record))));
+            if (this.elements.symbols) {
+                this.elements.symbols.innerHTML = sector.symbols
+                    .map(symbol => present.has(normalizeText(symbol))
+                        ? `<li><button type="button" data-symbol="${escapeHtml(symbol)}">${escapeHtml(symbol)}</button></li>`
+                        : `<li class="is-removed" title="در این تاریخ داده‌ای ندارد">${escapeHtml(symbol)}</li>`)
+                    .join("");
+            }
+            this.renderChart(sector);
+        }
+
+        renderChart(sector) {
+            const canvas = this.elements.chartCanvas;
+            if (!canvas) return;
+            clearCanvasPlaceholder(canvas);
+
+            const dates = sector.series.map(item => item.date);
+            const timeline = buildCalendarTimeline(dates);
+            const netData = toCalendarPoints(dates, sector.series.map(item => item.net));
+            const buyData = withMissingDayGaps(toCalendarPoints(dates, sector.series.map(item => item.buy)), timeline);
+            const sellData = withMissingDayGaps(toCalendarPoints(dates, sector.series.map(item => item.sell)), timeline);
+
+            this.destroyChart();
+            this.chart = new Chart(canvas.getContext("2d"), {
+                type: "bar",
+                plugins: [CALENDAR_BANDS_PLUGIN],
+                data: {
+                    datasets: [
+                        {
+                            type: "bar",
+                            label: "خالص",
+                            data: netData,
+                            backgroundColor: ctx => ((ctx.raw?.y ?? 0) < 0 ? CHART_COLORS.buy : CHART_COLORS.sell),
+                            borderRadius: 6,
+                            borderWidth: 1,
+                            borderColor: "rgba(15, 23, 42, 0.6)"
+                        },
+                        {
+                            type: "line",
+                            label: "نسبت خرید",
+                            data: buyData,
+                            tension: 0.35,
+                            fill: false,
+                            borderColor: CHART_COLORS.buy,
+                            borderWidth: 2,
+                            pointRadius: 3
+                        },
+                        {
+                            type: "line",
+                            label: "نسبت فروش",
+                            data: sellData,
+                            tension: 0.35,
+                            fill: false,
+                            borderColor: CHART_COLORS.sell,
+                            borderWidth: 2,
+                            pointRadius: 3
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: {
+                        mode: "index",
+                        intersect: false
+                    },
+                    scales: {
+                        x: calendarAxis(timeline, "#cbd5f5"),
+                        y: {
+                            grid: {
+                                color: "rgba(148, 163, 184, 0.05)"
+                            },
+                            ticks: {
+                                color: "#cbd5f5",
+                                callback: value => DECIMAL_FORMAT.format(value)
+                            }
+                        }
+                    },
+                    plugins: {
+                        calendarBands: {
+                            bands: timeline.bands
+                        },
+                        legend: {
+                            labels: {
+                                color: "#d1d8f4"
+                            }
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                title: calendarTooltipTitle,
+                                label: context => `${context.dataset.label}: ${DECIMAL_FORMAT.format(context.parsed.y)}`
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        // Symbols of the as-of date that no sector claims, largest 7-day volume first.
+        renderUnmapped() {
+            const { unmapped, unmappedCount, conflicts } = this.elements;
+            const records = this.sectorMap.partition(this.repository.getRecords(this.date)).unmapped;
+            const symbols = records
+                .map(record => ({ symbol: resolveSymbol(record), volume: this.repository.read(record).volume7 ?? 0 }))
+                .filter(item => item.symbol)
+                .sort((a, b) => b.volume - a.volume);
+
+            if (unmappedCount) unmappedCount.textContent = `(${NUMBER_FORMAT.format(symbols.length)})`;
+            if (unmapped) {
+                unmapped.innerHTML = symbols.length
+                    ? `<ul class="symbol-chip-list">${symbols
+                          .map(item => `<li><button type="button" data-symbol="${escapeHtml(item.symbol)}">${escapeHtml(item.symbol)}</button></li>`)
+                          .join("")}</ul>`
+                    : "<p>همهٔ نمادهای این تاریخ به صنعتی نسبت داده شده‌اند.</p>";
+            }
+            if (conflicts) {
+                conflicts.innerHTML = this.sectorMap.conflicts.length
+                    ? `<p class="stat-note">نمادهای تکراری در sectors.json (فقط صنعت اول حساب می‌شود): ${this.sectorMap.conflicts
+                          .map(item => escapeHtml(`${item.symbol} (${item.kept} / ${item.ignored})`))
+                          .join("، ")}</p>`
+                    : "";
+            }
+        }
+
+        exportTable() {
+            return {
+                name: "sectors",
+                title: "جریان پول صنایع",
+                date: this.date,
+                columns: [
+                    { key: "sector", label: "صنعت" },
+                    { key: "symbols", label: "تعداد نماد" },
+                    { key: "buy", label: "نسبت خرید" },
+                    { key: "sell", label: "نسبت فروش" },
+                    { key: "net", label: "خالص" },
+                    { key: "change", label: "تغییر خالص" },
+                    { key: "pmRatio", label: "P/M" },
+                    { key: "volume", label: "حجم ۷ روزه" }
+                ],
+                rows: this.rows.map(({ sector, current, change }) => ({ ...current, sector: sector.name, change }))
+            };
+        }
+
+        destroyChart() {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+        }
+
+        resize() {
+            if (this.chart) {
+                this.chart.resize();
+            }
+        }
+    }
+
+    const SCATTER_STORAGE_KEY = "iranoi.scatter";
+    const SCATTER_CLIP = Object.freeze([0.02, 0.98]);
+    const SCATTER_RADIUS = Object.freeze([3, 16]);
+    const SCATTER_CLICK_DISTANCE = 4;
+    const DEFAULT_SCATTER_SETTINGS = Object.freeze({
+        x: "pmRatio",
+        y: "risk",
+        size: "volume7",
+        color: "quadrant",
+        quadrant: "median",
+        lineX: null,
+        lineY: null,
+        selectMode: "box",
+        clip: true
+    });
+    // Quadrants are named by which side of the vertical (x) and horizontal (y) line they sit on.
+    const SCATTER_QUADRANTS = Object.freeze([
+        { id: "highHigh", x: 1, y: 1, color: "rgba(34, 197, 94, 0.75)" },
+        { id: "lowHigh", x: -1, y: 1, color: "rgba(56, 189, 248, 0.75)" },
+        { id: "lowLow", x: -1, y: -1, color: "rgba(239, 68, 68, 0.75)" },
+        { id: "highLow", x: 1, y: -1, color: "rgba(251, 191, 36, 0.75)" }
+    ]);
+
+    const quadrantOf = (point, lines) =>
+        SCATTER_QUADRANTS.find(quadrant =>
+            quadrant.x === (point.x >= lines.x ? 1 : -1) && quadrant.y === (point.y >= lines.y ? 1 : -1)
+        );
+
+    // Ray casting; polygon is a list of [x, y] pixel pairs.
+    const pointInPolygon = (x, y, polygon) => {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    };
+
+    // Quadrant lines with their counts and the selection being drawn, on top of the points.
+    const drawScatterOverlay = (chart, { lines, counts, path }) => {
+        const { ctx, chartArea, scales } = chart;
+        if (!chartArea) return;
+        ctx.save();
+        if (lines) {
+            const x = scales.x.getPixelForValue(lines.x);
+            const y = scales.y.getPixelForValue(lines.y);
+            ctx.strokeStyle = "rgba(226, 232, 240, 0.45)";
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            if (x >= chartArea.left && x <= chartArea.right) {
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+            }
+            if (y >= chartArea.top && y <= chartArea.bottom) {
+                ctx.moveTo(chartArea.left, y);
+                ctx.lineTo(chartArea.right, y);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.font = "600 13px Vazirmatn, sans-serif";
+            ctx.fillStyle = "rgba(226, 232, 240, 0.7)";
+            ctx.textBaseline = "top";
+            SCATTER_QUADRANTS.forEach(quadrant => {
+                ctx.textAlign = quadrant.x > 0 ? "right" : "left";
+                ctx.fillText(
+                    NUMBER_FORMAT.format(counts[quadrant.id] ?? 0),
+                    quadrant.x > 0 ? chartArea.right - 8 : chartArea.left + 8,
+                    quadrant.y > 0 ? chartArea.top + 8 : chartArea.bottom - 24
+                );
+            });
+        }
+        if (path?.length > 1) {
+            ctx.strokeStyle = "rgba(56, 189, 248, 0.9)";
+            ctx.fillStyle = "rgba(56, 189, 248, 0.12)";
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            path.forEach(([x, y], index) => (index ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    };
+
+    // Cross-section of two metrics on one date. Points keep a fixed order across
+    // snapshots so playback moves each symbol instead of redrawing the cloud.
+    class ScatterView {
+        constructor(repository, { onSelect, onSelection } = {}) {
+            this.repository = repository;
+            this.onSelect = onSelect;
+            this.onSelection = onSelection;
+            this.settings = this.load();
+            this.chart = null;
+            this.date = null;
+            this.frameDate = null;
+            this.universe = [];
+            this.points = [];
+            this.lines = null;
+            this.counts = {};
+            this.selected = new Set();
+            this.path = null;
+            this.dragStart = null;
+            this.timer = null;
+            this.span = null;
+            this.elements = {
+                date: document.getElementById("scatterDate"),
+                x: document.getElementById("scatterX"),
+                y: document.getElementById("scatterY"),
+                size: document.getElementById("scatterSize"),
+                color: document.getElementById("scatterColor"),
+                quadrant: document.getElementById("scatterQuadrantMode"),
+                customLines: document.getElementById("scatterCustomLines"),
+                lineX: document.getElementById("scatterLineX"),
+                lineY: document.getElementById("scatterLineY"),
+                selectMode: document.getElementById("scatterSelectMode"),
+                clip: document.getElementById("scatterClip"),
+                canvas: document.getElementById("scatterChart"),
+                title: document.getElementById("scatterTitle"),
+                frame: document.getElementById("scatterFrame"),
+                status: document.getElementById("scatterStatus"),
+                quadrants: document.getElementById("scatterQuadrants"),
+                selection: document.getElementById("scatterSelection"),
+                showSelection: document.getElementById("scatterShowSelection"),
+                clearSelection: document.getElementById("scatterClearSelection"),
+                play: document.getElementById("scatterPlay")
+            };
+        }
+
+        load() {
+            let stored = {};
+            try {
+                stored = JSON.parse(localStorage.getItem(SCATTER_STORAGE_KEY) ?? "{}") ?? {};
+            } catch (error) {
+                stored = {};
+            }
+            return { ...DEFAULT_SCATTER_SETTINGS, ...stored };
+        }
+
+        save() {
+            try {
+                localStorage.setItem(SCATTER_STORAGE_KEY, JSON.stringify(this.settings));
+            } catch (error) {
+                console.warn("ذخیرهٔ تنظیمات نمودار پراکندگی ممکن نشد.", error);
+            }
+        }
+
+        init() {
+            const { x, y, size, color, quadrant, lineX, lineY, selectMode, clip, canvas } = this.elements;
+            [["x", x], ["y", y], ["size", size], ["color", color], ["quadrant", quadrant], ["selectMode", selectMode]].forEach(
+                ([key, select]) => select?.addEventListener("change", () => this.update({ [key]: select.value }))
+            );
+            [["lineX", lineX], ["lineY", lineY]].forEach(([key, input]) =>
+                input?.addEventListener("change", () => {
+                    const value = toNumberOrNull(input.value);
+                    this.update({ [key]: value });
+                })
+            );
+            clip?.addEventListener("change", () => this.update({ clip: clip.checked }));
+
+            canvas?.addEventListener("pointerdown", event => this.startDrag(event));
+            canvas?.addEventListener("pointermove", event => this.moveDrag(event));
+            canvas?.addEventListener("pointerup", event => this.endDrag(event));
+            canvas?.addEventListener("pointerleave", () => this.cancelDrag());
+
+            this.elements.showSelection?.addEventListener("click", () => this.publishSelection(true));
+            this.elements.clearSelection?.addEventListener("click", () => this.setSelected([]));
+            this.elements.play?.addEventListener("click", () => (this.timer ? this.stop() : this.play()));
+
+            this.render(this.repository.latestDate);
+        }
+
+        // Numeric metrics of the schema in use on the as-of date.
+        metricOptions() {
+            const schema = this.repository.getSchema(this.date ?? undefined);
+            return Object.entries(schema.metrics)
+                .filter(([, definition]) => definition.type !== "text")
+                .map(([id, definition]) => ({ id, label: definition.label }));
+        }
+
+        labelOf(id) {
+            if (id === "none") return "ثابت";
+            if (id === "quadrant") return "ربع";
+            return this.repository.getSchema(this.date ?? undefined).labelOf(id);
+        }
+
+        renderControls() {
+            const metrics = this.metricOptions();
+            const ids = new Set(metrics.map(metric => metric.id));
+            const options = list => list.map(item => `<option value="${item.id}">${item.label}</option>`).join("");
+            const fill = (select, key, extra = []) => {
+                if (!select) return;
+                select.innerHTML = options([...extra, ...metrics]);
+                if (!ids.has(this.settings[key]) && !extra.some(item => item.id === this.settings[key])) {
+                    this.settings[key] = extra[0]?.id ?? metrics[0]?.id ?? null;
+                }
+                select.value = this.settings[key];
+            };
+            fill(this.elements.x, "x");
+            fill(this.elements.y, "y");
+            fill(this.elements.size, "size", [{ id: "none", label: "ثابت" }]);
+            fill(this.elements.color, "color", [{ id: "quadrant", label: "ربع" }]);
+
+            const { quadrant, customLines, selectMode, clip } = this.elements;
+            if (quadrant) quadrant.value = this.settings.quadrant;
+            if (customLines) customLines.hidden = this.settings.quadrant !== "custom";
+            if (selectMode) selectMode.value = this.settings.selectMode;
+            if (clip) clip.checked = this.settings.clip;
+        }
+
+        update(changes) {
+            // Switching to custom lines starts from the medians on screen.
+            if (changes.quadrant === "custom" && this.lines) {
+                changes.lineX ??= this.settings.lineX ?? this.lines.x;
+                changes.lineY ??= this.settings.lineY ?? this.lines.y;
+            }
+            Object.assign(this.settings, changes);
+            this.save();
+            if (this.elements.customLines) this.elements.customLines.hidden = this.settings.quadrant !== "custom";
+            if ("selectMode" in changes) return;
+            this.renderFrame(this.frameDate ?? this.date);
+        }
+
+        render(asOfDate) {
+            this.stop();
+            this.date = this.repository.resolveDate(asOfDate);
+            if (this.elements.date) this.elements.date.textContent = formatDateLabel(this.date);
+            const names = new Map();
+            this.repository.dates.forEach(date =>
+                this.repository.getRecords(date).forEach(record => {
+                    const symbol = resolveSymbol(record);
+                    const key = normalizeText(symbol);
+                    if (key && !names.has(key)) names.set(key, symbol);
+                })
+            );
+            this.universe = [...names].map(([key, symbol]) => ({ key, symbol }));
+            this.renderControls();
+            this.renderFrame(this.date);
+        }
+
+        // Builds one point per symbol of the universe; symbols missing on the date,
+        // or lacking x or y, stay in place as empty points.
+        buildPoints(date) {
+            const records = new Map(
+                this.repository.getRecords(date).map(record => [normalizeText(resolveSymbol(record)), record])
+            );
+            const { x, y, size, color } = this.settings;
+            return this.universe.map(({ key, symbol }) => {
+                const record = records.get(key);
+                const metrics = this.repository.read(record);
+                const point = {
+                    symbol,
+                    key,
+                    record: record ?? null,
+                    x: metrics[x] ?? null,
+                    y: metrics[y] ?? null,
+                    size: size === "none" ? null : metrics[size] ?? null,
+                    color: color === "quadrant" ? null : metrics[color] ?? null
+                };
+                return point.x == null || point.y == null ? { ...point, x: null, y: null } : point;
+            });
+        }
+
+        renderFrame(date) {
+            this.frameDate = date;
+            this.points = this.buildPoints(date);
+            const visible = this.points.filter(point => point.x != null);
+            const xs = visible.map(point => point.x).sort((a, b) => a - b);
+            const ys = visible.map(point => point.y).sort((a, b) => a - b);
+
+            const { settings } = this;
+            this.lines = settings.quadrant === "custom" && settings.lineX != null && settings.lineY != null
+                ? { x: settings.lineX, y: settings.lineY }
+                : xs.length ? { x: quantile(xs, 0.5), y: quantile(ys, 0.5) } : null;
+            if (this.elements.lineX && this.elements.lineY && this.lines) {
+                this.elements.lineX.value = String(Number(this.lines.x.toFixed(4)));
+                this.elements.lineY.value = String(Number(this.lines.y.toFixed(4)));
+            }
+
+            this.counts = Object.fromEntries(SCATTER_QUADRANTS.map(quadrant => [quadrant.id, 0]));
+            if (this.lines) visible.forEach(point => (this.counts[quadrantOf(point, this.lines).id] += 1));
+
+            const span = this.span ?? { xs, ys, sizes: visible.map(point => point.size), colors: visible.map(point => point.color) };
+            this.bounds = {
+                x: this.axisBounds(span.xs),
+                y: this.axisBounds(span.ys),
+                size: Math.max(0, ...span.sizes.filter(value => value != null)),
+                color: quantile(span.colors.filter(value => value != null).map(Math.abs).sort((a, b) => a - b), 0.9)
+            };
+            const outside = settings.clip
+                ? visible.filter(point =>
+                    point.x < this.bounds.x.min || point.x > this.bounds.x.max ||
+                    point.y < this.bounds.y.min || point.y > this.bounds.y.max
+                ).length
+                : 0;
+
+            if (this.elements.frame) this.elements.frame.textContent = formatDateLabel(date);
+            if (this.elements.title) {
+                this.elements.title.textContent = `${this.labelOf(settings.x)} در برابر ${this.labelOf(settings.y)}`;
+            }
+            if (this.elements.status) {
+                const parts = [`${NUMBER_FORMAT.format(visible.length)} نماد با هر دو مقدار`];
+                if (outside) parts.push(`${NUMBER_FORMAT.format(outside)} نماد بیرون از محدودهٔ ۲ تا ۹۸ درصدک`);
+                if (settings.size !== "none") parts.push(`اندازه: ${this.labelOf(settings.size)}`);
+                if (settings.color !== "quadrant") parts.push(`رنگ: ${this.labelOf(settings.color)}`);
+                this.elements.status.textContent = parts.join("؛ ");
+            }
+            this.renderQuadrants();
+            this.renderSelection();
+
+            if (!visible.length) {
+                this.destroyChart();
+                showCanvasPlaceholder(this.elements.canvas, "برای این دو شاخص در این تاریخ داده‌ای وجود ندارد.");
+                return;
+            }
+            if (this.chart) {
+                this.chart.data.datasets[0].data = this.points;
+                Object.assign(this.chart.options.scales.x, this.bounds.x, { title: { ...this.chart.options.scales.x.title, text: this.labelOf(settings.x) } });
+                Object.assign(this.chart.options.scales.y, this.bounds.y, { title: { ...this.chart.options.scales.y.title, text: this.labelOf(settings.y) } });
+                this.chart.update(this.timer ? "playback" : "none");
+                return;
+            }
+            this.renderChart();
+        }
+
+        universeSpan() {
+            const span = { xs: [], ys: [], sizes: [], colors: [] };
+            this.repository.dates
+                .filter(date => date <= this.date)
+                .forEach(date =>
+                    this.buildPoints(date)
+                        .filter(point => point.x != null)
+                        .forEach(point => {
+                            span.xs.push(point.x);
+                            span.ys.push(point.y);
+                            span.sizes.push(point.size);
+                            span.colors.push(point.color);
+                        })
+                );
+            span.xs.sort((a, b) => a - b);
+            span.ys.sort((a, b) => a - b);
+            return span;
+        }
+
+        axisBounds(sorted) {
+            if (!sorted.length) return { min: undefined, max: undefined };
+            const [low, high] = this.settings.clip ? SCATTER_CLIP : [0, 1];
+            const min = quantile(sorted, low);
+            const max = quantile(sorted, high);
+            const pad = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+            return { min: min - pad, max: max + pad };
+        }
+
+        radiusOf(point) {
+            const [min, max] = SCATTER_RADIUS;
+            if (point.size == null || !this.bounds.size) return this.settings.size === "none" ? 5 : min;
+            return min + (max - min) * Math.sqrt(Math.max(point.size, 0) / this.bounds.size);
+        }
+
+        colorOf(point) {
+            const faded = this.selected.size && !this.selected.has(point.key);
+            if (this.settings.color === "quadrant") {
+                const color = this.lines ? quadrantOf(point, this.lines).color : "rgba(148, 163, 184, 0.75)";
+                return faded ? color.replace(/[\d.]+\)$/, "0.15)") : color;
+            }
+            // A negative net reads green, as in the other views.
+            const value = this.settings.color === "net" && point.color != null ? -point.color : point.color;
+            return divergingColor(value, this.bounds.color, faded ? 0.15 : 0.8);
+        }
+
+        renderChart() {
+            const canvas = this.elements.canvas;
+            if (!canvas) return;
+            clearCanvasPlaceholder(canvas);
+            this.destroyChart();
+            const axis = (id, bounds) => ({
+                ...bounds,
+                title: {
+                    display: true,
+                    text: this.labelOf(this.settings[id]),
+                    color: "#cbd5f5"
+                },
+                grid: {
+                    color: "rgba(148, 163, 184, 0.08)"
+                },
+                ticks: {
+                    color: "#cbd5f5",
+                    callback: value => DECIMAL_FORMAT.format(value)
+                }
+            });
+
+            this.chart = new Chart(canvas.getContext("2d"), {
+                type: "scatter",
+                plugins: [{ id: "scatterOverlay", afterDatasetsDraw: chart => drawScatterOverlay(chart, this) }],
+                data: {
+                    datasets: [
+                        {
+                            label: "نمادها",
+                            data: this.points,
+                            pointRadius: context => (context.raw ? this.radiusOf(context.raw) : 0),
+                            pointHoverRadius: context => (context.raw ? this.radiusOf(context.raw) + 2 : 0),
+                            pointBackgroundColor: context => (context.raw ? this.colorOf(context.raw) : "transparent"),
+                            pointBorderColor: context =>
+                                context.raw && this.selected.has(context.raw.key) ? "#f8fafc" : "rgba(15, 23, 42, 0.6)",
+                            pointBorderWidth: context => (context.raw && this.selected.has(context.raw.key) ? 1.5 : 1)
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    transitions: {
+                        playback: {
+                            animation: {
+                                duration: PLAYBACK_INTERVAL_MS * 0.8
+                            }
+                        }
+                    },
+                    scales: {
+                        x: axis("x", this.bounds.x),
+                        y: axis("y", this.bounds.y)
+                    },
+                    plugins: {
+                        legend: {
+                            display: false
+                        },
+                        tooltip: {
+                            backgroundColor: "rgba(11, 18, 36, 0.92)",
+                            borderColor: "rgba(148, 163, 184, 0.3)",
+                            borderWidth: 1,
+                            padding: 12,
+                            callbacks: {
+                                title: items => items[0]?.raw.symbol ?? "",
+                                label: context => {
+                                    const point = context.raw;
+                                    const lines = [
+                                        `${this.labelOf(this.settings.x)}: ${DECIMAL_FORMAT.format(point.x)}`,
+                                        `${this.labelOf(this.settings.y)}: ${DECIMAL_FORMAT.format(point.y)}`
+                                    ];
+                                    if (point.size != null) lines.push(`${this.labelOf(this.settings.size)}: ${DECIMAL_FORMAT.format(point.size)}`);
+                                    if (point.color != null) lines.push(`${this.labelOf(this.settings.color)}: ${DECIMAL_FORMAT.format(point.color)}`);
+                                    return lines;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        quadrantLabel(quadrant) {
+            const side = (id, sign) => `${this.labelOf(this.settings[id])} ${sign > 0 ? "بالا" : "پایین"}`;
+            return `${side("x", quadrant.x)}، ${side("y", quadrant.y)}`;
+        }
+
+        renderQuadrants() {
+            const list = this.elements.quadrants;
+            if (!list) return;
+            if (!this.lines) {
+                list.innerHTML = "<li>داده‌ای برای تقسیم به ربع‌ها وجود ندارد.</li>";
+                return;
+            }
+            const total = Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+            list.innerHTML = SCATTER_QUADRANTS.map(quadrant => {
+                const count = this.counts[quadrant.id];
+                const share = total ? ` (${((count / total) * 100).toFixed(1)}٪)` : "";
+                return `<li style="border-color: ${quadrant.color}"><strong>${NUMBER_FORMAT.format(count)}${share}</strong>${this.quadrantLabel(quadrant)}</li>`;
+            }).join("");
+        }
+
+        eventPosition(event) {
+            const bounds = this.elements.canvas.getBoundingClientRect();
+            return [event.clientX - bounds.left, event.clientY - bounds.top];
+        }
+
+        startDrag(event) {
+            if (!this.chart || event.button > 0) return;
+            this.dragStart = this.eventPosition(event);
+            this.path = [this.dragStart];
+            this.elements.canvas.setPointerCapture?.(event.pointerId);
+        }
+
+        moveDrag(event) {
+            if (!this.dragStart) return;
+            const [x, y] = this.eventPosition(event);
+            if (this.settings.selectMode === "lasso") {
+                this.path.push([x, y]);
+            } else {
+                const [startX, startY] = this.dragStart;
+                this.path = [[startX, startY], [x, startY], [x, y], [startX, y]];
+            }
+            this.chart.draw();
+        }
+
+        endDrag(event) {
+            if (!this.dragStart) return;
+            const [startX, startY] = this.dragStart;
+            const [x, y] = this.eventPosition(event);
+            const path = this.path;
+            this.cancelDrag();
+
+            if (Math.hypot(x - startX, y - startY) < SCATTER_CLICK_DISTANCE) {
+                const [element] = this.chart.getElementsAtEventForMode(event, "nearest", { intersect: true }, true);
+                const point = element ? this.points[element.index] : null;
+                if (point && typeof this.onSelect === "function") this.onSelect(point.symbol);
+                return;
+            }
+            const { x: xScale, y: yScale } = this.chart.scales;
+            const picked = this.points.filter(point =>
+                point.x != null &&
+                pointInPolygon(xScale.getPixelForValue(point.x), yScale.getPixelForValue(point.y), path)
+            );
+            this.setSelected(picked.map(point => point.symbol));
+        }
+
+        cancelDrag() {
+            if (!this.dragStart) return;
+            this.dragStart = null;
+            this.path = null;
+            this.chart?.draw();
+        }
+
+        setSelected(symbols) {
+            this.selected = new Set(symbols.map(normalizeText));
+            this.renderSelection();
+            this.chart?.update("none");
+            this.publishSelection(false);
+        }
+
+        selectedSymbols() {
+            return this.universe.filter(item => this.selected.has(item.key)).map(item => item.symbol);
+        }
+
+        // Sends the selection to the symbol table; `open` also switches to that tab.
+        publishSelection(open) {
+            if (typeof this.onSelection !== "function") return;
+            const symbols = this.selectedSymbols();
+            const label = `${NUMBER_FORMAT.format(symbols.length)} نماد (${this.labelOf(this.settings.x)} / ${this.labelOf(this.settings.y)})`;
+            this.onSelection(symbols.length ? { label, symbols } : null, { open: open && symbols.length > 0 });
+        }
+
+        renderSelection() {
+            const { selection, showSelection, clearSelection } = this.elements;
+            const symbols = this.selectedSymbols();
+            if (selection) {
+                const present = this.points.filter(point => point.x != null && this.selected.has(point.key)).length;
+                selection.textContent = symbols.length
+                    ? `${NUMBER_FORMAT.format(symbols.length)} نماد انتخاب شده (${NUMBER_FORMAT.format(present)} نماد در این تاریخ): ${symbols.slice(0, 12).join("، ")}${symbols.length > 12 ? "، …" : ""}`
+                    : "نمادی انتخاب نشده است.";
+            }
+            if (showSelection) showSelection.disabled = !symbols.length;
+            if (clearSelection) clearSelection.disabled = !symbols.length;
+        }
+
+        // Replays every snapshot up to the as-of date, one per PLAYBACK_INTERVAL_MS;
+        // the axes span all of them for the length of the replay.
+        play() {
+            const dates = this.repository.dates.filter(date => date <= this.date);
+            if (dates.length < 2) return;
+            let index = 0;
+            this.span = this.universeSpan();
+            this.timer = setInterval(() => {
+                index += 1;
+                this.renderFrame(dates[index]);
+                if (index >= dates.length - 1) this.stop();
+            }, PLAYBACK_INTERVAL_MS);
+            this.syncPlayButton();
+            this.renderFrame(dates[0]);
+        }
+
+        stop() {
+            if (!this.timer) return;
+            clearInterval(this.timer);
+            this.timer = null;
+            this.span = null;
+            this.syncPlayButton();
+            this.renderFrame(this.frameDate);
+        }
+
+        syncPlayButton() {
+            if (this.elements.play) {
+                this.elements.play.textContent = this.timer ? "⏸ توقف" : "▶ پخش در طول تاریخ‌ها";
+            }
+        }
+
+        exportTable() {
+            const { x, y, size, color } = this.settings;
+            const columns = [
+                { key: "symbol", label: "نماد" },
+                { key: "x", label: this.labelOf(x) },
+                { key: "y", label: this.labelOf(y) }
+            ];
+            if (size !== "none") columns.push({ key: "size", label: this.labelOf(size) });
+            if (color !== "quadrant") columns.push({ key: "color", label: this.labelOf(color) });
+            columns.push({ key: "quadrant", label: "ربع" }, { key: "selected", label: "انتخاب‌شده" });
+            return {
+                name: "scatter",
+                title: `${this.labelOf(x)} در برابر ${this.labelOf(y)}`,
+                date: this.frameDate,
+                columns,
+                rows: this.points
+                    .filter(point => point.x != null)
+                    .map(point => ({
+                        symbol: point.symbol,
+                        x: point.x,
+                        y: point.y,
+                        size: point.size,
+                        color: point.color,
+                        quadrant: this.lines ? this.quadrantLabel(quadrantOf(point, this.lines)) : "",
+                        selected: this.selected.has(point.key) ? "بله" : ""
+                    }))
+            };
+        }
+
+        destroyChart() {
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+        }
+
+        resize() {
+            if (this.chart) {
+                this.chart.resize();
+            }
+        }
+    }
+
+    // Source columns a raw Tablokhani CSV can be mapped onto. Headers are matched
+    // after normalizeHeader(), so "حجم ۷ روزه" and "حجم7روزه" are the same alias.
+    const CSV_IMPORT_COLUMNS = Object.freeze([
+        { column: "symbol", label: "نماد", aliases: ["symbol", "ticker", "نماد", "نام نماد"] },
+        { column: "pm_ratio", label: "P/M", aliases: ["pm_ratio", "pm", "p/m", "نسبت p/m", "نسبت pm"] },
+        { column: "diff_3month", label: "% اختلاف ۳ ماهه", aliases: ["diff_3month", "اختلاف ۳ ماهه", "% اختلاف ۳ ماهه", "درصد اختلاف ۳ ماهه"] },
+        { column: "risk", label: "ریسک", aliases: ["risk", "ریسک"] },
+        { column: "volume_7days", label: "حجم ۷ روزه", aliases: ["volume_7days", "volume7", "حجم ۷ روزه", "حجم هفت روزه", "میانگین حجم ۷ روزه"] },
+        { column: "monthly_volume", label: "حجم ماهانه", aliases: ["monthly_volume", "حجم ماهانه", "میانگین حجم ماهانه", "حجم ماه"] },
+        { column: "buy_ratio", label: "نسبت خرید", aliases: ["buy_ratio", "نسبت خرید", "قدرت خریدار", "قدرت خرید"] },
+        { column: "sell_ratio", label: "نسبت فروش", aliases: ["sell_ratio", "نسبت فروش", "قدرت فروشنده", "قدرت فروش"] },
+        { column: "date", label: "تاریخ", aliases: ["date", "trade_date", "تاریخ"] }
+    ]);
+    const CSV_IMPORT_SCHEMA = "tablokhani-v1";
+
+    const normalizeHeader = value => normalizeText(toLatinDigits(value).replace(/[\u200c\u200e\u200f\uFEFF]/g, ""));
+
+    const guessCsvColumn = header => {
+        const key = normalizeHeader(header);
+        return CSV_IMPORT_COLUMNS.find(target => target.aliases.some(alias => normalizeHeader(alias) === key))?.column ?? "";
+    };
+
+    // Files saved by Excel on Persian Windows are often Windows-1256 rather
+    // than UTF-8; the strict UTF-8 decoder fails on them and we retry.
+    const decodeCsvFile = async file => {
+        const buffer = await file.arrayBuffer();
+        try {
+            return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder("windows-1256").decode(buffer);
+        }
+    };
+
+    class CsvImporter {
+        constructor(repository, onImported) {
+            this.repository = repository;
+            this.onImported = onImported;
+            this.pending = [];
+            this.elements = {
+                dropZone: document.getElementById("csvDropZone"),
+                fileInput: document.getElementById("csvFileInput"),
+                pick: document.getElementById("csvPick"),
+                mapping: document.getElementById("csvMapping"),
+                message: document.getElementById("csvMessage")
+            };
+        }
+
+        init() {
+            const { dropZone, fileInput, pick, mapping } = this.elements;
+            if (!dropZone) return;
+
+            pick?.addEventListener("click", () => fileInput?.click());
+            fileInput?.addEventListener("change", () => {
+                this.addFiles(fileInput.files);
+                fileInput.value = "";
+            });
+
+            dropZone.addEventListener("dragover", event => {
+                event.preventDefault();
+                dropZone.classList.add("is-dragging");
+            });
+            dropZone.addEventListener("dragleave", () => dropZone.classList.remove("is-dragging"));
+            dropZone.addEventListener("drop", event => {
+                event.preventDefault();
+                dropZone.classList.remove("is-dragging");
+                this.addFiles(event.dataTransfer?.files);
+            });
+
+            mapping?.addEventListener("change", event => {
+                const select = event.target.closest("select[data-header-index]");
+                if (!select) return;
+                const pending = this.pending[Number(select.closest("[data-file-index]").dataset.fileIndex)];
+                pending.mapping[Number(select.dataset.headerIndex)] = select.value;
+                this.renderMapping();
+            });
+            mapping?.addEventListener("click", event => {
+                const button = event.target.closest("button[data-csv-action]");
+                if (!button) return;
+                if (button.dataset.csvAction === "confirm") {
+                    this.confirm();
+                } else {
+                    this.pending = [];
+                    this.renderMapping();
+                    this.showMessage("");
+                }
+            });
+        }
+
+        async addFiles(fileList) {
+            const files = Array.from(fileList ?? []).filter(file => /\.csv$/i.test(file.name) || file.type === "text/csv");
+            if (!files.length) {
+                this.showMessage("فقط فایل‌های CSV پذیرفته می‌شوند.", true);
+                return;
+            }
+
+            const errors = [];
+            for (const file of files) {
+                try {
+                    const [headers, ...rows] = parseCsv(await decodeCsvFile(file));
+                    if (!headers || !rows.length) {
+                        throw new Error("فایل سطر داده‌ای ندارد.");
+                    }
+                    this.pending.push({ name: file.name, headers, rows, mapping: headers.map(guessCsvColumn) });
+                } catch (error) {
+                    errors.push(`${file.name}: ${error.message}`);
+                }
+            }
+            this.showMessage(errors.join("\n"), Boolean(errors.length));
+            this.renderMapping();
+        }
+
+        detectDate(pending) {
+            const dateIndex = pending.mapping.indexOf("date");
+            return (dateIndex >= 0 ? parseTradeDate(pending.rows[0]?.[dateIndex]) : null) ?? parseTradeDate(pending.name);
+        }
+
+        renderMapping() {
+            const { mapping } = this.elements;
+            if (!mapping) return;
+            if (!this.pending.length) {
+                mapping.innerHTML = "";
+                return;
+            }
+
+            const options = selected =>
+                [`<option value="">— نادیده گرفتن —</option>`, ...CSV_IMPORT_COLUMNS.map(target =>
+                    `<option value="${target.column}"${target.column === selected ? " selected" : ""}>${target.label} (${target.column})</option>`
+                )].join("");
+
+            const cards = this.pending.map((pending, fileIndex) => {
+                const date = this.detectDate(pending);
+                const hasSymbol = pending.mapping.includes("symbol");
+                const warnings = [
+                    hasSymbol ? "" : "ستون نماد مشخص نشده است.",
+                    date ? "" : "تاریخ از نام فایل تشخیص داده نشد؛ ستون تاریخ را مشخص کنید."
+                ].filter(Boolean);
+                return `
+                    <div class="csv-file" data-file-index="${fileIndex}">
+                        <h4>
+                            ${escapeHtml(pending.name)}
+                            <small>${NUMBER_FORMAT.format(pending.rows.length)} سطر · تاریخ: ${formatDateLabel(date)}${this.repository.byDate[date] ? " (جایگزین دادهٔ موجود)" : ""}</small>
+                        </h4>
+                        ${warnings.map(warning => `<p class="screener-message is-error">${warning}</p>`).join("")}
+                        <table class="data-table csv-mapping-table">
+                            <thead>
+                                <tr>
+                                    <th>سرستون فایل</th>
+                                    <th>نمونهٔ مقدار</th>
+                                    <th>نگاشت به</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${pending.headers
+                                    .map((header, headerIndex) => `
+                                        <tr>
+                                            <td>${escapeHtml(header)}</td>
+                                            <td>${escapeHtml(pending.rows[0]?.[headerIndex])}</td>
+                                            <td><select data-header-index="${headerIndex}">${options(pending.mapping[headerIndex])}</select></td>
+                                        </tr>
+                                    `)
+                                    .join("")}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+            });
+
+            mapping.innerHTML = `
+                ${cards.join("")}
+                <div class="screener-actions">
+                    <button type="button" class="ma-chip is-active" data-csv-action="confirm">تأیید نگاشت و افزودن</button>
+                    <button type="button" class="ma-chip" data-csv-action="cancel">انصراف</button>
+                </div>
+            `;
+        }
+
+        toRecords(pending) {
+            return pending.rows.map(cells => {
+                const record = { source_file: pending.name };
+                pending.mapping.forEach((column, index) => {
+                    if (!column) return;
+                    const value = cells[index] ?? "";
+                    record[column] = column === "symbol" || column === "date" ? value.trim() : parseCsvNumber(value);
+                });
+                return record;
+            });
+        }
+
+        confirm() {
+            const invalid = this.pending.filter(pending => !pending.mapping.includes("symbol") || !this.detectDate(pending));
+            if (invalid.length) {
+                this.showMessage(`نگاشت فایل‌های ${invalid.map(pending => pending.name).join("، ")} کامل نیست.`, true);
+                return;
+            }
+
+            const messages = [];
+            this.pending.forEach(pending => {
+                try {
+                    const result = this.repository.addSnapshot({
+                        file: pending.name,
+                        raw: this.toRecords(pending),
+                        schema: CSV_IMPORT_SCHEMA
+                    });
+                    const replaced = result.replaced.length ? " (جایگزین دادهٔ قبلی)" : "";
+                    messages.push(`${pending.name}: ${NUMBER_FORMAT.format(result.records)} رکورد برای ${result.dates.map(formatDateLabel).join("، ")}${replaced}`);
+                } catch (error) {
+                    messages.push(`${pending.name}: ${error.message}`);
+                }
+            });
+
+            this.pending = [];
+            this.renderMapping();
+            this.showMessage(messages.join("\n"));
+            if (typeof this.onImported === "function") {
+                this.onImported();
+            }
+        }
+
+        showMessage(message, isError = false) {
+            if (!this.elements.message) return;
+            this.elements.message.textContent = message;
+            this.elements.message.classList.toggle("is-error", isError);
+        }
+    }
+
+    class DataQualityView {
+        constructor(repository) {
+            this.repository = repository;
+            this.elements = {
+                summaryBody: document.getElementById("qualitySummaryBody"),
+                changes: document.getElementById("qualitySymbolChanges"),
+                issuesBody: document.getElementById("qualityIssuesBody")
+            };
+        }
+
+        init() {
+            this.renderSummary();
+            this.renderSymbolChanges();
+            this.renderIssues();
+        }
+
+        renderSummary() {
+            if (!this.elements.summaryBody) return;
+
+            const sources = [...this.repository.sources].sort((a, b) =>
+                String(a.fileDate ?? a.file).localeCompare(String(b.fileDate ?? b.file))
+            );
+            if (!sources.length) {
+                this.elements.summaryBody.innerHTML = `<tr><td colspan="9">فایلی بارگذاری نشده است.</td></tr>`;
+                return;
+            }
+
+            const sumCounts = counts => Object.values(counts ?? {}).reduce((total, count) => total + count, 0);
+            const describeCounts = (counts, schema) =>
+                Object.entries(counts ?? {})
+                    .map(([metric, count]) => `${schema.labelOf(metric)}: ${NUMBER_FORMAT.format(count)}`)
+                    .join("\n");
+            const countCell = (count, title = "") =>
+                `<td class="${count ? "quality-warn" : ""}" title="${escapeHtml(title)}">${NUMBER_FORMAT.format(count)}</td>`;
+
+            this.elements.summaryBody.innerHTML = sources
+                .map(source => {
+                    const dates = source.dates?.length ? source.dates.map(formatDateLabel).join("، ") : "—";
+                    if (source.status === "failed") {
+                        return `
+                            <tr class="quality-failed">
+                                <td>${formatDateLabel(source.fileDate)}</td>
+                                <td>${escapeHtml(source.file)}</td>
+                                <td colspan="7">بارگذاری نشد: ${escapeHtml(source.error)}</td>
+                            </tr>
+                        `;
+                    }
+
+                    const quality = source.quality ?? createQualityReport();
+                    const schema = new FieldSchema(source.schema);
+                    return `
+                        <tr>
+                            <td>${dates}</td>
+                            <td title="${schema.label}">${escapeHtml(source.file)}${source.origin === "import" ? " <small>(ورود دستی در این نشست)</small>" : ""}</td>
+                            <td>${NUMBER_FORMAT.format(quality.scanned)}</td>
+                            <td>${NUMBER_FORMAT.format(quality.accepted)}</td>
+                            ${countCell(quality.droppedBadDate)}
+                            ${countCell(quality.duplicates.length, quality.duplicates.map(item => item.symbol).join("، "))}
+                            ${countCell(sumCounts(quality.missing), describeCounts(quality.missing, schema))}
+                            ${countCell(sumCounts(quality.nonNumeric), describeCounts(quality.nonNumeric, schema))}
+                            ${countCell(sumCounts(quality.outOfRange), describeCounts(quality.outOfRange, schema))}
+                        </tr>
+                    `;
+                })
+                .join("");
+        }
+
+        renderSymbolChanges() {
+            if (!this.elements.changes) return;
+
+            const { dates } = this.repository;
+            if (dates.length < 2) {
+                this.elements.changes.innerHTML = `<p class="empty-state">برای مقایسه حداقل دو تاریخ لازم است.</p>`;
+                return;
+            }
+
+            const renderList = (symbols, className) =>
+                symbols.length
+                    ? `<ul class="symbol-chip-list">${symbols.map(symbol => `<li class="${className}">${escapeHtml(symbol)}</li>`).join("")}</ul>`
+                    : "<p>—</p>";
+
+            const items = [];
+            for (let index = 1; index < dates.length; index += 1) {
+                const previousDate = dates[index - 1];
+                const date = dates[index];
+                const { added, removed } = this.repository.compareSymbols(previousDate, date);
+                const previousCount = this.repository.getRecords(previousDate).length;
+                const currentCount = this.repository.getRecords(date).length;
+                items.push(`
+                    <details class="quality-change">
+                        <summary>
+                            ${formatDateLabel(previousDate)} ← ${formatDateLabel(date)}:
+                            ${NUMBER_FORMAT.format(previousCount)} ← ${NUMBER_FORMAT.format(currentCount)} رکورد
+                            <span class="positive">+${NUMBER_FORMAT.format(added.length)}</span>
+                            <span class="negative">−${NUMBER_FORMAT.format(removed.length)}</span>
+                        </summary>
+                        <div class="quality-change-body">
+                            <h4>نمادهای جدید</h4>
+                            ${renderList(added, "is-added")}
+                            <h4>نمادهای حذف‌شده</h4>
+                            ${renderList(removed, "is-removed")}
+                        </div>
+                    </details>
+                `);
+            }
+            this.elements.changes.innerHTML = items.reverse().join("");
+        }
+
+        renderIssues() {
+            if (!this.elements.issuesBody) return;
+
+            const issues = this.repository.sources.flatMap(source =>
+                (source.quality?.issues ?? []).map(issue => ({ ...issue, schema: new FieldSchema(source.schema) }))
+            );
+            if (!issues.length) {
+                this.elements.issuesBody.innerHTML = `<tr><td colspan="5">مقدار مشکوکی یافت نشد.</td></tr>`;
+                return;
+            }
+
+            this.elements.issuesBody.innerHTML = issues
+                .map(issue => `
+                    <tr>
+                        <td>${formatDateLabel(issue.date)}</td>
+                        <td>${escapeHtml(issue.symbol || "—")}</td>
+                        <td>${escapeHtml(issue.schema.labelOf(issue.metric))} <small>(${escapeHtml(issue.column)})</small></td>
+                        <td>${escapeHtml(issue.raw)}</td>
+                        <td><span class="badge ${issue.kind === "outOfRange" ? "medium" : "high"}">${QUALITY_KIND_LABELS[issue.kind]}</span></td>
+                    </tr>
+                `)
+                .join("");
+        }
+    }
+
+    const EXPORT_FORMATS = Object.freeze({
+        csv: { extension: "csv", build: toCsv },
+        xlsx: { extension: "xlsx", build: toXlsx },
+        json: { extension: "json", build: toJsonBlob }
+    });
+
+    // Every `[data-export]` toolbar names a provider; a provider returns the
+    // rows behind a view (`table`) and/or the chart drawn from them (`chart`).
+    class ExportController {
+        constructor(providers) {
+            this.providers = providers;
+        }
+
+        init() {
+            document.addEventListener("click", event => {
+                const button = event.target.closest("[data-export] [data-export-format]");
+                if (!button) return;
+                const id = button.closest("[data-export]").dataset.export;
+                const provider = this.providers[id];
+                if (!provider) return;
+                try {
+                    if (button.dataset.exportFormat === "png") {
+                        this.exportChart(id, provider);
+                    } else {
+                        this.exportTable(id, provider, button.dataset.exportFormat);
+                    }
+                } catch (error) {
+                    console.error(error);
+                    alert(error.message || "ساخت فایل خروجی ممکن نشد.");
+                }
+            });
+        }
+
+        filename(id, date, extension) {
+            return `iranoi-${id}${date ? `-${date}` : ""}.${extension}`;
+        }
+
+        exportTable(id, provider, formatId) {
+            const format = EXPORT_FORMATS[formatId];
+            const table = provider.table?.();
+            if (!format || !table) return;
+            if (!table.rows.length) {
+                throw new Error("داده‌ای برای خروجی گرفتن وجود ندارد.");
+            }
+            downloadBlob(format.build(table), this.filename(table.name ?? id, table.date, format.extension));
+        }
+
+        exportChart(id, provider) {
+            const target = provider.chart?.();
+            if (!target?.chart) {
+                throw new Error("نموداری برای ذخیره وجود ندارد.");
+            }
+            const footer = `Iran OI — تاریخ داده: ${target.date ? formatDateLabel(target.date) : "نامشخص"}`;
+            const canvas = renderChartImage(target.chart, { title: target.title, footer });
+            canvas.toBlob(blob => {
+                if (blob) downloadBlob(blob, this.filename(target.name ?? id, target.date, "png"));
+            }, "image/png");
+        }
+    }
+
+    // View state lives in the URL hash (#tab=symbol&symbols=وبملت,وتجارت&ma=5),
+    // so a link reopens the same view. Defaults are left out, and the as-of date
+    // only appears while replaying the past; copied links always pin the date.
+    class UrlState {
+        constructor({ repository, tabs, snapshots, symbolView }) {
+            this.repository = repository;
+            this.tabs = tabs;
+            this.snapshots = snapshots;
+            this.symbolView = symbolView;
+            this.applying = false;
+            this.elements = {
+                copy: document.getElementById("copyLinkButton")
+            };
+        }
+
+        init() {
+            window.addEventListener("popstate", () => this.apply(this.read()));
+            this.elements.copy?.addEventListener("click", () => this.copyLink());
+            this.apply(this.read());
+            this.commit({ replace: true });
+        }
+
+        read() {
+            const params = new URLSearchParams(location.hash.slice(1));
+            const date = params.get("date");
+            return {
+                tab: params.get("tab") ?? "market",
+                symbols: (params.get("symbols") ?? "").split(",").map(item => item.trim()).filter(Boolean),
+                query: params.get("q") ?? "",
+                ma: Number(params.get("ma")) || null,
+                sector: params.get("sector") || null,
+                date: date ? parseTradeDate(date) : null
+            };
+        }
+
+        serialize(pinDate = false) {
+            const params = new URLSearchParams();
+            const { symbols, query, ma, sector } = this.symbolView.getState();
+            const date = this.snapshots.currentDate;
+            if (this.tabs.activeId && this.tabs.activeId !== "market") params.set("tab", this.tabs.activeId);
+            if (symbols.length) params.set("symbols", symbols.join(","));
+            if (query) params.set("q", query);
+            if (ma && ma !== DEFAULT_MA) params.set("ma", String(ma));
+            if (sector) params.set("sector", sector);
+            if (date && (pinDate || date !== this.repository.latestDate)) params.set("date", date);
+            const text = params.toString();
+            return text ? `#${text}` : "";
+        }
+
+        commit({ replace = false } = {}) {
+            if (this.applying) return;
+            const hash = this.serialize();
+            if (hash === location.hash) return;
+            const url = hash || `${location.pathname}${location.search}`;
+            history[replace ? "replaceState" : "pushState"](null, "", url);
+        }
+
+        apply(state) {
+            this.applying = true;
+            try {
+                this.tabs.activate(state.tab);
+                this.snapshots.setDate(state.date ?? this.repository.latestDate);
+                this.symbolView.applyState(state);
+            } finally {
+                this.applying = false;
+            }
+        }
+
+        async copyLink() {
+            const url = `${location.origin}${location.pathname}${location.search}${this.serialize(true)}`;
+            const button = this.elements.copy;
+            try {
+                await navigator.clipboard.writeText(url);
+            } catch (error) {
+                window.prompt("پیوند این نما را کپی کنید:", url);
+                return;
+            }
+            if (!button) return;
+            const label = button.textContent;
+            button.textContent = "پیوند کپی شد ✓";
+            setTimeout(() => {
+                button.textContent = label;
+            }, 2000);
+        }
+    }
+
+    // Polls the snapshot manifest in the background with conditional requests and
+    // fetches the files it newly lists. They are held back until the user applies
+    // them from the banner, so a refresh never moves the page on its own.
+    class SnapshotPoller {
+        constructor(repository, onApply) {
+            this.repository = repository;
+            this.onApply = onApply;
+            this.timer = null;
+            this.busy = false;
+            this.validators = { etag: null, lastModified: null };
+            this.pending = [];
+            this.elements = {
+                banner: document.getElementById("liveUpdateBanner"),
+                dates: document.getElementById("liveUpdateDates"),
+                apply: document.getElementById("liveUpdateApply"),
+                dismiss: document.getElementById("liveUpdateDismiss")
+            };
+        }
+
+        init() {
+            if (!this.repository.manifestUrl || location.protocol === "file:") return;
+
+            this.elements.apply?.addEventListener("click", () => this.apply());
+            this.elements.dismiss?.addEventListener("click", () => {
+                if (this.elements.banner) this.elements.banner.hidden = true;
+            });
+            document.addEventListener("visibilitychange", () => {
+                if (!document.hidden) this.poll();
+            });
+            this.timer = setInterval(() => {
+                if (!document.hidden) this.poll();
+            }, LIVE_REFRESH_INTERVAL_MS);
+        }
+
+        async poll() {
+            if (this.busy || !navigator.onLine) return;
+            this.busy = true;
+            try {
+                const headers = {};
+                if (this.validators.etag) headers["If-None-Match"] = this.validators.etag;
+                if (this.validators.lastModified) headers["If-Modified-Since"] = this.validators.lastModified;
+                const response = await fetch(this.repository.manifestUrl, { cache: "no-store", headers });
+                if (response.status === 304) return;
+                if (!response.ok) {
+                    throw new Error(`خواندن فایل ${this.repository.manifestUrl} با خطا مواجه شد (${response.status})`);
+                }
+                // A copy the service worker served offline says nothing about new files.
+                if (response.headers.get(OFFLINE_CACHE_HEADER)) return;
+                const validators = {
+                    etag: response.headers.get("ETag"),
+                    lastModified: response.headers.get("Last-Modified")
+                };
+
+                const { snapshots, failed } = await this.repository.fetchNewSnapshots(await response.json());
+                // Keep the old validators while a listed file failed, so the next poll
+                // gets the manifest again instead of a 304 and retries it.
+                if (!failed.length) this.validators = validators;
+                const known = new Set(this.pending.map(snapshot => snapshot.file));
+                this.pending.push(...snapshots.filter(snapshot => !known.has(snapshot.file)));
+                if (snapshots.length) this.renderBanner();
+            } catch (error) {
+                console.warn("بررسی دادهٔ جدید ممکن نشد.", error);
+            } finally {
+                this.busy = false;
+            }
+        }
+
+        renderBanner() {
+            const { banner, dates } = this.elements;
+            if (!banner) return;
+            banner.hidden = !this.pending.length;
+            if (dates) {
+                dates.textContent = this.pending
+                    .map(snapshot => (parseTradeDate(snapshot.file) ? formatDateLabel(parseTradeDate(snapshot.file)) : snapshot.file))
+                    .join("، ");
+            }
+        }
+
+        apply() {
+            const snapshots = this.pending;
+            this.pending = [];
+            this.renderBanner();
+            if (!snapshots.length) return;
+            const dates = this.repository.mergeSnapshots(snapshots);
+            if (dates.length && typeof this.onApply === "function") {
+                this.onApply(dates);
+            }
+        }
+    }
+
+    class ConnectivityMonitor {
+        constructor(repository, onReconnect) {
+            this.repository = repository;
+            this.onReconnect = onReconnect;
+            this.elements = {
+                indicator: document.getElementById("offlineIndicator"),
+                date: document.getElementById("offlineDataDate")
+            };
+        }
+
+        init() {
+            window.addEventListener("offline", () => this.update());
+            window.addEventListener("online", async () => {
+                if (!this.repository.servedFromCache) {
+                    this.update();
+                    return;
+                }
+                try {
+                    await this.onReconnect();
+                } catch (error) {
+                    console.warn("بارگذاری دوبارهٔ داده‌ها پس از اتصال ممکن نشد.", error);
+                }
+                this.update();
+            });
+            this.update();
+        }
+
+        isOffline() {
+            return !navigator.onLine || this.repository.servedFromCache;
+        }
+
+        update() {
+            const { indicator, date } = this.elements;
+            if (!indicator) return;
+            indicator.hidden = !this.isOffline();
+            if (date) {
+                date.textContent = formatDateLabel(this.repository.latestDate);
+            }
+        }
+    }
+
+    const registerServiceWorker = () => {
+        if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.warn("ثبت سرویس‌ورکر برای حالت آفلاین ممکن نشد.", error);
+        });
+    };
+
+    const bootstrap = async () => {
+        registerServiceWorker();
+
+        const repository = new DataRepository({
+            manifestUrl: SNAPSHOT_MANIFEST_URL,
+            files: SNAPSHOT_FILES,
+            readJson: fetchJson
+        });
+        const riskClassifier = new RiskClassifier(RiskView.loadSettings());
+        const watchlist = new Watchlist();
+        const marketView = new MarketView(repository);
+        const symbolView = new SymbolView(repository, riskClassifier, watchlist);
+        const riskView = new RiskView(riskClassifier, symbolView);
+        const topSymbolsView = new TopSymbolsView(repository);
+        const qualityView = new DataQualityView(repository);
+        const screener = new ScreenerPanel(repository, symbolView);
+        const openSymbol = symbol => {
+            tabs.activate("symbol");
+            symbolView.openSymbol(symbol);
+        };
+        const moversView = new MoversView(repository, openSymbol);
+        const signalView = new SignalView(repository, {
+            onSelect: openSymbol,
+            onChange: () => {
+                if (symbolView.currentSymbol) symbolView.updateChart();
+            }
+        });
+        symbolView.signalSettings = signalView.settings;
+        const treemapView = new TreemapView(repository, openSymbol);
+        const sectorView = new SectorView(repository, new SectorMap(), {
+            onSelect: openSymbol,
+            onDrill: sector => {
+                tabs.activate("symbol");
+                symbolView.setSector(sector);
+                urlState?.commit();
+            }
+        });
+        const scatterView = new ScatterView(repository, {
+            onSelect: openSymbol,
+            onSelection: (selection, { open }) => {
+                symbolView.setSelection(selection);
+                if (open) tabs.activate("symbol");
+            }
+        });
+        const watchlistPanel = new WatchlistPanel(repository, watchlist, symbolView, openSymbol);
+        repository.onSnapshots(dates => watchlistPanel.evaluate(dates));
+
+        const views = {
+            market: [marketView],
+            symbol: [symbolView, riskView],
+            top: [topSymbolsView, treemapView],
+            sectors: [sectorView],
+            scatter: [scatterView]
+        };
+
+        const exporter = new ExportController({
+            market: {
+                table: () => marketView.exportTable(),
+                chart: () => ({ name: "market", chart: marketView.chart, title: "جریان پول هوشمند کل بازار", date: marketView.asOfDate })
+            },
+            symbols: {
+                table: () => symbolView.exportTable()
+            },
+            symbolHistory: {
+                table: () => symbolView.exportHistory(),
+                chart: () => ({
+                    name: "symbol",
+                    chart: symbolView.chart,
+                    title: symbolView.elements.chartTitle?.textContent ?? "نمودار نماد",
+                    date: symbolView.asOfDate
+                })
+            },
+            risk: {
+                chart: () => ({ name: "risk", chart: riskView.chart, title: "توزیع ریسک نمادها", date: symbolView.asOfDate })
+            },
+            top: {
+                table: () => topSymbolsView.exportTable(),
+                chart: () => ({ name: "top", chart: topSymbolsView.chart, title: "رتبه‌بندی نمادها", date: topSymbolsView.date })
+            },
+            treemap: {
+                table: () => treemapView.exportTable(),
+                // renderChartImage only reads the canvas, which the treemap draws itself.
+                chart: () => ({
+                    name: "treemap",
+                    chart: treemapView.tiles.length ? { canvas: treemapView.elements.canvas } : null,
+                    title: `نقشهٔ حرارتی کل بازار — ${TREEMAP_METRICS[treemapView.metricId].label}`,
+                    date: treemapView.date
+                })
+            },
+            sectors: {
+                table: () => sectorView.exportTable(),
+                chart: () => ({
+                    name: "sector",
+                    chart: sectorView.chart,
+                    title: sectorView.elements.chartTitle?.textContent ?? "روند صنعت",
+                    date: sectorView.date
+                })
+            },
+            signals: {
+                table: () => signalView.exportTable()
+            },
+            scatter: {
+                table: () => scatterView.exportTable(),
+                chart: () => ({
+                    name: "scatter",
+                    chart: scatterView.chart,
+                    title: scatterView.elements.title?.textContent ?? "نمودار پراکندگی",
+                    date: scatterView.frameDate
+                })
+            }
+        });
+        exporter.init();
+
+        let urlState = null;
+        const tabs = new TabController(tabId => {
+            (views[tabId] ?? []).forEach(view => {
+                if (typeof view.resize === "function") {
+                    requestAnimationFrame(() => view.resize());
+                }
+            });
+            urlState?.commit();
+        });
+        tabs.init();
+
+        try {
+            const [sectorMap] = await Promise.all([loadSectorMap(), repository.load()]);
+            sectorView.sectorMap = sectorMap;
+            symbolView.sectorMap = sectorMap;
+            treemapView.sectorMap = sectorMap;
+        } catch (error) {
+            console.error(error);
+            const message = error?.message || "خطا در بارگذاری داده‌ها";
+            marketView.showPlaceholder("marketChart", message);
+            symbolView.showChartPlaceholder(message);
+            topSymbolsView.showPlaceholder("topVolumeChart", message);
+            return;
+        }
+
+        marketView.init();
+        symbolView.init();
+        screener.init();
+        watchlistPanel.init();
+        riskView.init();
+        topSymbolsView.init();
+        treemapView.init();
+        moversView.init();
+        signalView.init();
+        sectorView.init();
+        scatterView.init();
+        qualityView.init();
+
+        const snapshots = new SnapshotController(repository, date => {
+            marketView.render(date);
+            symbolView.setDate(date);
+            screener.renderSaved();
+            watchlistPanel.render();
+            riskView.render();
+            topSymbolsView.render(date);
+            treemapView.render(date);
+            moversView.render(date);
+            signalView.render(date);
+            sectorView.render(date);
+            scatterView.render(date);
+            urlState?.commit({ replace: snapshots.isPlaying() });
+        });
+        snapshots.init();
+
+        urlState = new UrlState({ repository, tabs, snapshots, symbolView });
+        symbolView.onStateChange = ({ replace }) => urlState.commit({ replace });
+        urlState.init();
+
+        let knownLatest = repository.latestDate;
+        const refreshViews = () => {
+            qualityView.init();
+            snapshots.refresh(knownLatest);
+            knownLatest = repository.latestDate;
+        };
+
+        const importer = new CsvImporter(repository, refreshViews);
+        importer.init();
+
+        const connectivity = new ConnectivityMonitor(repository, async () => {
+            await repository.load();
+            refreshViews();
+        });
+        connectivity.init();
+
+        const poller = new SnapshotPoller(repository, () => {
+            refreshViews();
+            connectivity.update();
+        });
+        poller.init();
+    };
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", bootstrap);
+    } else {
+        bootstrap();
+    }
+})();
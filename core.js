@@ -0,0 +1,1446 @@
+// Data and analytics core shared by the dashboard and the Node tools. It has no
+// DOM or network dependency, so it loads as a plain <script> (window.IranOICore)
+// or through require() (module.exports).
+(root => {
+    const JALALI_MONTH_NAMES = Object.freeze([
+        "فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور",
+        "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند"
+    ]);
+    const JALALI_WEEKDAY_NAMES = Object.freeze([
+        "شنبه", "یک‌شنبه", "دوشنبه", "سه‌شنبه", "چهارشنبه", "پنج‌شنبه", "جمعه"
+    ]);
+    const JALALI_WEEKEND_DAYS = Object.freeze([5, 6]);
+    // Solar-calendar public holidays (MMDD). Lunar holidays move every year and are
+    // registered per date through JalaliCalendar.registerHolidays().
+    const JALALI_FIXED_HOLIDAYS = Object.freeze(["0101", "0102", "0103", "0104", "0112", "0113", "0314", "0315", "1122", "1229"]);
+    const JALALI_BREAKS = Object.freeze([
+        -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
+    ]);
+
+    // Jalali <-> Julian day number arithmetic after Borkowski's algorithm.
+    const JalaliCalendar = (() => {
+        const div = (a, b) => Math.trunc(a / b);
+        const mod = (a, b) => a - Math.trunc(a / b) * b;
+        const extraHolidays = new Set();
+
+        const gregorianToDay = (gy, gm, gd) => {
+            let day = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) + div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+            day = day - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+            return day;
+        };
+
+        const dayToGregorian = day => {
+            let j = 4 * day + 139361631;
+            j = j + div(div(4 * day + 183187720, 146097) * 3, 4) * 4 - 3908;
+            const i = div(mod(j, 1461), 4) * 5 + 308;
+            const gd = div(mod(i, 153), 5) + 1;
+            const gm = mod(div(i, 153), 12) + 1;
+            const gy = div(j, 1461) - 100100 + div(8 - gm, 6);
+            return { year: gy, month: gm, day: gd };
+        };
+
+        const yearInfo = year => {
+            const gy = year + 621;
+            let leapJ = -14;
+            let jp = JALALI_BREAKS[0];
+            let jump = 0;
+            for (let index = 1; index < JALALI_BREAKS.length; index += 1) {
+                const jm = JALALI_BREAKS[index];
+                jump = jm - jp;
+                if (year < jm) break;
+                leapJ = leapJ + div(jump, 33) * 8 + div(mod(jump, 33), 4);
+                jp = jm;
+            }
+            let n = year - jp;
+            leapJ = leapJ + div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+            if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+            const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+            const march = 20 + leapJ - leapG;
+            if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+            let leap = mod(mod(n + 1, 33) - 1, 4);
+            if (leap === -1) leap = 4;
+            return { leap, gy, march };
+        };
+
+        const isLeapYear = year => yearInfo(year).leap === 0;
+
+        const monthLength = (year, month) => {
+            if (month <= 6) return 31;
+            if (month <= 11) return 30;
+            return isLeapYear(year) ? 30 : 29;
+        };
+
+        const isValid = (year, month, day) =>
+            Number.isInteger(year) && Number.isInteger(month) && Number.isInteger(day) &&
+            year >= 1300 && year <= 1499 &&
+            month >= 1 && month <= 12 &&
+            day >= 1 && day <= monthLength(year, month);
+
+        const parse = key => {
+            const digits = String(key ?? "");
+            if (!/^\d{8}$/.test(digits)) return null;
+            const parts = {
+                year: Number(digits.slice(0, 4)),
+                month: Number(digits.slice(4, 6)),
+                day: Number(digits.slice(6, 8))
+            };
+            return isValid(parts.year, parts.month, parts.day) ? parts : null;
+        };
+
+        const toKey = ({ year, month, day }) =>
+            `${year}${String(month).padStart(2, "0")}${String(day).padStart(2, "0")}`;
+
+        const toDayNumber = key => {
+            const parts = parse(key);
+            if (!parts) return null;
+            const { gy, march } = yearInfo(parts.year);
+            return gregorianToDay(gy, 3, march) + (parts.month - 1) * 31 - div(parts.month, 7) * (parts.month - 7) + parts.day - 1;
+        };
+
+        const fromDayNumber = dayNumber => {
+            let year = dayToGregorian(dayNumber).year - 621;
+            const info = yearInfo(year);
+            let offset = dayNumber - gregorianToDay(info.gy, 3, info.march);
+            if (offset >= 0) {
+                if (offset <= 185) {
+                    return toKey({ year, month: 1 + div(offset, 31), day: mod(offset, 31) + 1 });
+                }
+                offset -= 186;
+            } else {
+                year -= 1;
+                offset += 179;
+                if (info.leap === 1) offset += 1;
+            }
+            return toKey({ year, month: 7 + div(offset, 30), day: mod(offset, 30) + 1 });
+        };
+
+        const toGregorian = key => {
+            const dayNumber = toDayNumber(key);
+            return dayNumber == null ? null : dayToGregorian(dayNumber);
+        };
+
+        const toDate = key => {
+            const gregorian = toGregorian(key);
+            return gregorian ? new Date(Date.UTC(gregorian.year, gregorian.month - 1, gregorian.day)) : null;
+        };
+
+        // Julian day numbers are congruent to 5 (mod 7) on Saturdays, the first day of the Persian week.
+        const weekdayIndex = key => {
+            const dayNumber = toDayNumber(key);
+            return dayNumber == null ? null : mod(dayNumber + 2, 7);
+        };
+
+        const weekdayName = key => JALALI_WEEKDAY_NAMES[weekdayIndex(key)] ?? "";
+        const monthName = key => JALALI_MONTH_NAMES[(parse(key)?.month ?? 0) - 1] ?? "";
+        const isWeekend = key => JALALI_WEEKEND_DAYS.includes(weekdayIndex(key));
+        const isHoliday = key => {
+            const parts = parse(key);
+            if (!parts) return false;
+            return JALALI_FIXED_HOLIDAYS.includes(String(key).slice(4)) || extraHolidays.has(String(key));
+        };
+        const isTradingDay = key => parse(key) != null && !isWeekend(key) && !isHoliday(key);
+
+        const registerHolidays = keys => {
+            (keys ?? []).forEach(key => {
+                if (parse(key)) extraHolidays.add(String(key));
+            });
+        };
+
+        const daysBetween = (fromKey, toKey) => {
+            const from = toDayNumber(fromKey);
+            const to = toDayNumber(toKey);
+            return from == null || to == null ? null : to - from;
+        };
+
+        const format = (key, { long = false } = {}) => {
+            const parts = parse(key);
+            if (!parts) return null;
+            if (!long) {
+                return `${parts.year}/${String(parts.month).padStart(2, "0")}/${String(parts.day).padStart(2, "0")}`;
+            }
+            return `${weekdayName(key)} ${parts.day} ${monthName(key)} ${parts.year}`;
+        };
+
+        return Object.freeze({
+            isLeapYear,
+            monthLength,
+            isValid,
+            parse,
+            toKey,
+            toDayNumber,
+            fromDayNumber,
+            toGregorian,
+            toDate,
+            weekdayIndex,
+            weekdayName,
+            monthName,
+            isWeekend,
+            isHoliday,
+            isTradingDay,
+            registerHolidays,
+            daysBetween,
+            format
+        });
+    })();
+
+    const normalizeText = value => {
+        if (!value) return "";
+        return String(value)
+            .trim()
+            .replace(/\s+/g, "")
+            .replace(/[آإأ]/g, "ا")
+            .replace(/ي/g, "ی")
+            .replace(/ك/g, "ک")
+            .toLowerCase();
+    };
+
+    const resolveSymbol = item => (item?.symbol ?? item?.ticker ?? item?.Symbol ?? "").trim();
+
+    const PERSIAN_DIGITS = "۰۱۲۳۴۵۶۷۸۹";
+    const ARABIC_DIGITS = "٠١٢٣٤٥٦٧٨٩";
+
+    const toLatinDigits = value =>
+        String(value ?? "")
+            .replace(/[۰-۹]/g, digit => String(PERSIAN_DIGITS.indexOf(digit)))
+            .replace(/[٠-٩]/g, digit => String(ARABIC_DIGITS.indexOf(digit)));
+
+    const composeTradeDate = (year, month, day) => {
+        if (!JalaliCalendar.isValid(year, month, day)) return null;
+        return JalaliCalendar.toKey({ year, month, day });
+    };
+
+    // Producers have written the Jalali trade date as 14040726, 4040726 (century
+    // digit dropped) and 144040726 (a "14" prefix glued onto the 7-digit form),
+    // so a digit run is tried as YYYYMMDD, then YYYMMDD, then YYMMDD on its tail.
+    const parseDigitRun = digits => {
+        // A full eight-digit run is a year-first date: a Gregorian one such as
+        // 20251018 is rejected rather than reread from its last six digits.
+        if (digits.length === 8 && !/^1[34]/.test(digits)) return null;
+        const attempts = [
+            [8, value => composeTradeDate(Number(value.slice(0, 4)), Number(value.slice(4, 6)), Number(value.slice(6, 8)))],
+            [7, value => composeTradeDate(1000 + Number(value.slice(0, 3)), Number(value.slice(3, 5)), Number(value.slice(5, 7)))],
+            [6, value => composeTradeDate(1400 + Number(value.slice(0, 2)), Number(value.slice(2, 4)), Number(value.slice(4, 6)))]
+        ];
+        for (const [length, parse] of attempts) {
+            if (digits.length < length) continue;
+            const date = parse(digits.slice(-length));
+            if (date) return date;
+        }
+        return null;
+    };
+
+    const parseTradeDate = value => {
+        if (value == null || value === "") return null;
+        const text = toLatinDigits(value);
+        const runs = text.match(/\d+/g);
+        if (!runs) return null;
+
+        if (runs.length === 3 && runs[0].length >= 2 && runs[1].length <= 2 && runs[2].length <= 2) {
+            const rawYear = Number(runs[0]);
+            const year = rawYear < 100 ? 1400 + rawYear : rawYear < 1000 ? 1000 + rawYear : rawYear;
+            const date = composeTradeDate(year, Number(runs[1]), Number(runs[2]));
+            if (date) return date;
+        }
+
+        for (let index = runs.length - 1; index >= 0; index -= 1) {
+            const date = parseDigitRun(runs[index]);
+            if (date) return date;
+        }
+        return null;
+    };
+
+    const TRADE_DATE_SOURCES = Object.freeze([
+        { id: "key", label: "کلید تاریخ در ساختار فایل", read: (record, context) => context.hintedDate },
+        { id: "trade_date", label: "فیلد trade_date", read: record => record.trade_date },
+        { id: "date", label: "فیلد date", read: record => record.date },
+        { id: "snapshot_date", label: "فیلد snapshot_date", read: record => record.snapshot_date },
+        { id: "last_date", label: "فیلد last_date", read: record => record.last_date },
+        { id: "source_file", label: "نام فایل CSV مبدأ", read: record => record.source_file },
+        { id: "file", label: "نام فایل snapshot", read: (record, context) => context.fileName }
+    ]);
+
+    const resolveTradeDate = (record, context = {}) => {
+        const candidates = TRADE_DATE_SOURCES
+            .map(source => ({ source, raw: source.read(record, context) }))
+            .filter(({ raw }) => raw != null && raw !== "")
+            .map(({ source, raw }) => ({
+                source: source.id,
+                label: source.label,
+                raw: String(raw),
+                date: parseTradeDate(raw)
+            }));
+        const winner = candidates.find(candidate => candidate.date);
+        return {
+            date: winner?.date ?? null,
+            source: winner?.source ?? null,
+            label: winner?.label ?? null,
+            raw: winner?.raw ?? null,
+            candidates
+        };
+    };
+
+    const toNumberOrNull = value => {
+        if (value == null || value === "") return null;
+        const number = Number(typeof value === "string" ? toLatinDigits(value).replace(/[,٬]/g, "") : value);
+        return Number.isFinite(number) ? number : null;
+    };
+
+    // For every string from a data file, an import or the URL that goes into innerHTML.
+    const escapeHtml = value =>
+        String(value ?? "").replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+    // Persian exports use "٫" as the decimal point, "٬" between thousands and
+    // the Unicode minus sign; anything still non-numeric is kept as text so the
+    // quality report can flag it.
+    const parseCsvNumber = value => {
+        const text = toLatinDigits(value).trim().replace(/٫/g, ".").replace(/[٬,]/g, "").replace(/[−–]/g, "-");
+        if (!text) return null;
+        const number = Number(text);
+        return Number.isFinite(number) ? number : value.trim();
+    };
+
+    const parseCsv = text => {
+        const source = text.replace(/^\uFEFF/, "");
+        const firstLine = source.slice(0, source.search(/\r?\n|$/));
+        const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        );
+
+        const rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+        for (let index = 0; index < source.length; index += 1) {
+            const char = source[index];
+            if (quoted) {
+                if (char === '"' && source[index + 1] === '"') {
+                    field += '"';
+                    index += 1;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && source[index + 1] === "\n") index += 1;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    };
+
+    // The dashboard reads a negative net as smart money flowing in and a positive
+    // one as flowing out: 1 for inflow, -1 for outflow and 0 when flat or missing.
+    const flowDirection = net => (net == null || Number.isNaN(net) || net === 0 ? 0 : -Math.sign(net));
+
+    // Breadth (share of buy-dominant symbols) disagrees with the volume-weighted
+    // net when one points to inflow and the other to outflow.
+    const breadthDisagrees = (advancingPercent, net) => {
+        const breadthSide = advancingPercent == null ? 0 : Math.sign(advancingPercent - 50);
+        const flow = flowDirection(net);
+        return breadthSide !== 0 && flow !== 0 && breadthSide !== flow;
+    };
+
+    const deriveNet = ({ buy, sell }) => (buy != null && sell != null ? buy - sell : null);
+
+    // Canonical metrics the views read. Each producer version maps them to its own
+    // source columns (first present column wins) or derives them from other metrics.
+    const FIELD_SCHEMAS = Object.freeze({
+        "tablokhani-v1": {
+            label: "تابلوخوانی (pm_ratio / buy_ratio)",
+            signature: ["pm_ratio", "buy_ratio", "sell_ratio", "volume_7days", "monthly_volume"],
+            metrics: {
+                buy: { columns: ["buy_ratio"], range: [0, 100], label: "نسبت خرید" },
+                sell: { columns: ["sell_ratio"], range: [0, 100], label: "نسبت فروش" },
+                net: { derive: deriveNet, label: "خالص نسبت خرید و فروش" },
+                volume7: { columns: ["volume_7days"], range: [0, null], label: "حجم ۷ روزه" },
+                volume21: { columns: ["monthly_volume"], range: [0, null], label: "حجم ماهانه" },
+                pmRatio: { columns: ["pm_ratio"], label: "P/M" },
+                priceGap: { columns: ["diff_3month"], range: [-100, 100], label: "% اختلاف ۳ ماهه" },
+                risk: { columns: ["risk"], range: [-100, 100], label: "ریسک" },
+                buyRatio: { columns: ["buy_ratio"], label: "قدرت خریدار" },
+                sellRatio: { columns: ["sell_ratio"], label: "قدرت فروشنده" }
+            }
+        },
+        "legacy-oi": {
+            label: "OI قدیمی (buy_diff / sell_diff)",
+            signature: [],
+            metrics: {
+                buy: { columns: ["buy_diff", "buyOI", "buy_ratio"], label: "OI خریداران" },
+                sell: { columns: ["sell_diff", "sellOI", "sell_ratio"], label: "OI فروشندگان" },
+                net: { columns: ["net_diff", "netOI"], derive: deriveNet, label: "خالص OI" },
+                volume7: { columns: ["volume_7days", "volume7", "volume", "volume_weight"], range: [0, null], label: "حجم ۷ روزه" },
+                volume21: { columns: ["volume_21days", "volume21", "monthly_volume"], range: [0, null], label: "حجم ۲۱ روزه" },
+                volumeToday: { columns: ["volume"], range: [0, null], label: "حجم امروز" },
+                pmRatio: { columns: ["pm_ratio"], label: "P/M" },
+                priceGap: { columns: ["first_ceiling_diff_percent"], label: "% اختلاف سقف اول" },
+                risk: { columns: ["risk_level", "risk"], type: "text", label: "ریسک" },
+                realMoneyFlow: { columns: ["real_money_flow"], label: "ورود پول حقیقی" },
+                buyRatio: { columns: ["buy_ratio"], label: "قدرت خریدار" }
+            }
+        }
+    });
+
+    const DEFAULT_FIELD_SCHEMA = "legacy-oi";
+
+    class FieldSchema {
+        constructor(version) {
+            const definition = FIELD_SCHEMAS[version] ?? FIELD_SCHEMAS[DEFAULT_FIELD_SCHEMA];
+            this.version = FIELD_SCHEMAS[version] ? version : DEFAULT_FIELD_SCHEMA;
+            this.label = definition.label;
+            this.signature = definition.signature;
+            this.metrics = definition.metrics;
+        }
+
+        static detect(record) {
+            const match = Object.entries(FIELD_SCHEMAS).find(
+                ([, definition]) =>
+                    definition.signature.length && definition.signature.every(column => record && column in record)
+            );
+            return new FieldSchema(match ? match[0] : DEFAULT_FIELD_SCHEMA);
+        }
+
+        has(metric) {
+            return metric in this.metrics;
+        }
+
+        labelOf(metric, fallback = metric) {
+            return this.metrics[metric]?.label ?? fallback;
+        }
+
+        read(record) {
+            const values = {};
+            for (const [metric, definition] of Object.entries(this.metrics)) {
+                let value = null;
+                for (const column of definition.columns ?? []) {
+                    const raw = record?.[column];
+                    if (raw == null || raw === "") continue;
+                    value = definition.type === "text" ? raw : toNumberOrNull(raw);
+                    if (value != null) break;
+                }
+                if (value == null && typeof definition.derive === "function") {
+                    value = definition.derive(values);
+                }
+                values[metric] = value;
+            }
+            return values;
+        }
+
+        inspect(record) {
+            const findings = [];
+            for (const [metric, definition] of Object.entries(this.metrics)) {
+                if (definition.type === "text" || !definition.columns?.length) continue;
+                const column = definition.columns.find(name => record?.[name] != null && record[name] !== "");
+                if (!column) {
+                    findings.push({ metric, kind: "missing" });
+                    continue;
+                }
+                const value = toNumberOrNull(record[column]);
+                if (value == null) {
+                    findings.push({ metric, column, kind: "nonNumeric", raw: record[column] });
+                    continue;
+                }
+                const [min, max] = definition.range ?? [];
+                if ((min != null && value < min) || (max != null && value > max)) {
+                    findings.push({ metric, column, kind: "outOfRange", raw: record[column] });
+                }
+            }
+            return findings;
+        }
+    }
+
+    const QUALITY_ISSUE_LIMIT = 200;
+
+    const createQualityReport = () => ({
+        scanned: 0,
+        accepted: 0,
+        droppedBadDate: 0,
+        missingSymbol: 0,
+        duplicates: [],
+        missing: {},
+        nonNumeric: {},
+        outOfRange: {},
+        issues: []
+    });
+
+    const isObserved = value => value != null && Number.isFinite(value);
+
+    // Indicators run over observed values only: a null (a day the symbol did not
+    // trade or a missing snapshot) gets no output and is skipped by the window
+    // instead of counting as zero. Each helper returns one entry per input value.
+    const overWindows = (values, period, compute) => {
+        const observed = [];
+        return values.map(value => {
+            if (!isObserved(value)) return null;
+            observed.push(value);
+            return observed.length >= period ? compute(observed.slice(-period), observed) : null;
+        });
+    };
+
+    const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+
+    const movingAverage = (values, period) => overWindows(values, period, mean);
+
+    const weightedMovingAverage = (values, period) =>
+        overWindows(values, period, window =>
+            window.reduce((total, value, index) => total + value * (index + 1), 0) / ((period * (period + 1)) / 2)
+        );
+
+    // Seeded with the simple average of the first full window.
+    const exponentialMovingAverage = (values, period) => {
+        const alpha = 2 / (period + 1);
+        let previous = null;
+        return overWindows(values, period, (window, observed) => {
+            previous = previous == null ? mean(window) : observed[observed.length - 1] * alpha + previous * (1 - alpha);
+            return previous;
+        });
+    };
+
+    const bollingerBands = (values, period, width = 2) => {
+        const bands = overWindows(values, period, window => {
+            const middle = mean(window);
+            const deviation = Math.sqrt(mean(window.map(value => (value - middle) ** 2)));
+            return { middle, upper: middle + width * deviation, lower: middle - width * deviation };
+        });
+        return {
+            middle: bands.map(band => band?.middle ?? null),
+            upper: bands.map(band => band?.upper ?? null),
+            lower: bands.map(band => band?.lower ?? null)
+        };
+    };
+
+    // Wilder's RSI on the change between consecutive observed values.
+    const relativeStrengthIndex = (values, period) => {
+        let previousValue = null;
+        let averageGain = null;
+        let averageLoss = null;
+        const changes = [];
+        return values.map(value => {
+            if (!isObserved(value)) return null;
+            if (previousValue == null) {
+                previousValue = value;
+                return null;
+            }
+            const change = value - previousValue;
+            previousValue = value;
+            const gain = Math.max(change, 0);
+            const loss = Math.max(-change, 0);
+            if (averageGain == null) {
+                changes.push(change);
+                if (changes.length < period) return null;
+                averageGain = mean(changes.map(item => Math.max(item, 0)));
+                averageLoss = mean(changes.map(item => Math.max(-item, 0)));
+            } else {
+                averageGain = (averageGain * (period - 1) + gain) / period;
+                averageLoss = (averageLoss * (period - 1) + loss) / period;
+            }
+            if (!averageLoss) return averageGain ? 100 : 50;
+            return 100 - 100 / (1 + averageGain / averageLoss);
+        });
+    };
+
+    const cumulativeSum = values => {
+        let total = 0;
+        return values.map(value => {
+            if (!isObserved(value)) return null;
+            total += value;
+            return total;
+        });
+    };
+
+    // Indicators offered on the net-flow charts. Each one yields one or more lines;
+    // axis tells the chart whether a line shares the net-flow scale or needs its own.
+    const INDICATORS = Object.freeze({
+        sma: {
+            label: "میانگین ساده (SMA)",
+            period: 3,
+            axis: "value",
+            compute: (values, period) => [{ key: "sma", label: `SMA ${period}`, values: movingAverage(values, period) }]
+        },
+        ema: {
+            label: "میانگین نمایی (EMA)",
+            period: 3,
+            axis: "value",
+            compute: (values, period) => [{ key: "ema", label: `EMA ${period}`, values: exponentialMovingAverage(values, period) }]
+        },
+        wma: {
+            label: "میانگین وزنی (WMA)",
+            period: 3,
+            axis: "value",
+            compute: (values, period) => [{ key: "wma", label: `WMA ${period}`, values: weightedMovingAverage(values, period) }]
+        },
+        bollinger: {
+            label: "باند بولینگر",
+            period: 5,
+            axis: "value",
+            compute: (values, period) => {
+                const bands = bollingerBands(values, period);
+                return [
+                    { key: "upper", label: `بولینگر بالا ${period}`, values: bands.upper },
+                    { key: "middle", label: `بولینگر میانی ${period}`, values: bands.middle },
+                    { key: "lower", label: `بولینگر پایین ${period}`, values: bands.lower }
+                ];
+            }
+        },
+        rsi: {
+            label: "RSI خالص جریان",
+            period: 5,
+            axis: "oscillator",
+            compute: (values, period) => [{ key: "rsi", label: `RSI ${period}`, values: relativeStrengthIndex(values, period) }]
+        },
+        cumulative: {
+            label: "خالص جریان تجمعی",
+            period: null,
+            axis: "cumulative",
+            compute: values => [{ key: "cumulative", label: "خالص تجمعی", values: cumulativeSum(values) }]
+        }
+    });
+
+    const INDICATOR_PERIOD_RANGE = Object.freeze([2, 60]);
+
+    const SUMMARY_METRICS = Object.freeze(["buy", "sell", "net", "volume7", "volume21"]);
+
+    // Averages skip entries missing the metric; a metric never observed averages to null.
+    const summarizeHistory = history => {
+        if (!history.length) return null;
+        const averages = {};
+        SUMMARY_METRICS.forEach(metric => {
+            const observed = history.map(item => item[metric]).filter(isObserved);
+            averages[metric] = observed.length ? mean(observed) : null;
+        });
+        return {
+            days: history.length,
+            firstDate: history[0].date,
+            latest: history[history.length - 1],
+            averages
+        };
+    };
+
+    // Maximal runs of consecutive history entries passing test(item, index), as index pairs.
+    const runsOf = (history, test) => {
+        const runs = [];
+        let start = null;
+        history.forEach((item, index) => {
+            if (test(item, index)) {
+                if (start == null) start = index;
+            } else if (start != null) {
+                runs.push({ start, end: index - 1 });
+                start = null;
+            }
+        });
+        if (start != null) runs.push({ start, end: history.length - 1 });
+        return runs;
+    };
+
+    // Patterns the signal engine looks for in a getSymbolHistory() timeline. Each
+    // takes one numeric parameter and reports every occurrence as
+    // { startDate, date, strength }: `date` is the last session of the pattern and
+    // `strength` how far it went past its threshold (1 = just met).
+    const SIGNAL_PATTERNS = Object.freeze({
+        buyStreak: {
+            label: "خرید غالب پیاپی",
+            param: { label: "حداقل روز", value: 3, range: [2, 30] },
+            detect: (history, days) =>
+                runsOf(history, item => isObserved(item.buy) && isObserved(item.sell) && item.buy > item.sell)
+                    .filter(run => run.end - run.start + 1 >= days)
+                    .map(run => ({
+                        startDate: history[run.start].date,
+                        date: history[run.end].date,
+                        length: run.end - run.start + 1,
+                        strength: (run.end - run.start + 1) / days
+                    }))
+        },
+        pmRising: {
+            label: "رشد پیاپی P/M",
+            param: { label: "حداقل افزایش پیاپی", value: 3, range: [2, 30] },
+            detect: (history, days) =>
+                runsOf(history, (item, index) =>
+                    index > 0 && item.pmRatio != null && history[index - 1].pmRatio != null && item.pmRatio > history[index - 1].pmRatio
+                )
+                    .filter(run => run.end - run.start + 1 >= days)
+                    .map(run => ({
+                        startDate: history[run.start - 1].date,
+                        date: history[run.end].date,
+                        length: run.end - run.start + 1,
+                        strength: (run.end - run.start + 1) / days
+                    }))
+        },
+        volumeBreakout: {
+            label: "شکست حجم ۷ روزه از ماهانه",
+            param: { label: "ضریب حجم ماهانه", value: 1, range: [1, 5], step: 0.1 },
+            detect: (history, factor) =>
+                history
+                    .map((item, index) => {
+                        const previous = history[index - 1];
+                        if (!previous || !(item.volume21 > 0) || !(previous.volume21 > 0)) return null;
+                        if (!isObserved(item.volume7) || !isObserved(previous.volume7)) return null;
+                        const crossed = previous.volume7 <= previous.volume21 * factor && item.volume7 > item.volume21 * factor;
+                        return crossed
+                            ? {
+                                startDate: item.date,
+                                date: item.date,
+                                ratio: item.volume7 / item.volume21,
+                                strength: item.volume7 / (item.volume21 * factor)
+                            }
+                            : null;
+                    })
+                    .filter(Boolean)
+        },
+        netCrossover: {
+            label: "عبور خالص از میانگین متحرک",
+            param: { label: "دوره میانگین", value: 5, range: INDICATOR_PERIOD_RANGE },
+            detect: (history, period) => {
+                const nets = history.map(item => item.net);
+                const average = movingAverage(nets, period);
+                return history
+                    .map((item, index) => {
+                        if (index === 0 || average[index] == null || average[index - 1] == null) return null;
+                        const before = Math.sign(nets[index - 1] - average[index - 1]);
+                        const after = Math.sign(nets[index] - average[index]);
+                        if (!after || before === after) return null;
+                        // Distance from the average, in units of the symbol's typical |net| so far.
+                        const scale = mean(nets.slice(0, index + 1).filter(isObserved).map(Math.abs)) || 1;
+                        return {
+                            startDate: item.date,
+                            date: item.date,
+                            direction: after > 0 ? "up" : "down",
+                            strength: 1 + Math.abs(nets[index] - average[index]) / scale
+                        };
+                    })
+                    .filter(Boolean);
+            }
+        }
+    });
+
+    // Every occurrence of the enabled patterns, oldest first. settings maps a
+    // pattern id to { enabled, value }; missing entries use the pattern defaults.
+    const detectSignals = (history, settings = {}) =>
+        Object.entries(SIGNAL_PATTERNS)
+            .filter(([id]) => settings[id]?.enabled ?? true)
+            .flatMap(([id, pattern]) =>
+                pattern.detect(history, settings[id]?.value ?? pattern.param.value).map(signal => ({
+                    pattern: id,
+                    label: pattern.label,
+                    ...signal
+                }))
+            )
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Squarified treemap layout (Bruls, Huizing and van Wijk). Items need a positive
+    // value and come back with x, y, width and height inside rect, largest first;
+    // strips are laid along the shorter side so tiles stay close to square.
+    const squarify = (items, { x = 0, y = 0, width, height }) => {
+        const nodes = items
+            .filter(item => item.value > 0)
+            .sort((a, b) => b.value - a.value);
+        const total = nodes.reduce((sum, item) => sum + item.value, 0);
+        if (!total || width <= 0 || height <= 0) return [];
+
+        const scale = (width * height) / total;
+        const tiles = [];
+        const free = { x, y, width, height };
+        const worst = (row, side) => {
+            const sum = row.reduce((acc, node) => acc + node.area, 0);
+            const max = Math.max(...row.map(node => node.area));
+            const min = Math.min(...row.map(node => node.area));
+            return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+        };
+        const place = row => {
+            const sum = row.reduce((acc, node) => acc + node.area, 0);
+            if (free.width >= free.height) {
+                const stripWidth = sum / free.height;
+                let offset = free.y;
+                row.forEach(node => {
+                    const tileHeight = node.area / stripWidth;
+                    tiles.push({ ...node.item, x: free.x, y: offset, width: stripWidth, height: tileHeight });
+                    offset += tileHeight;
+                });
+                free.x += stripWidth;
+                free.width -= stripWidth;
+            } else {
+                const stripHeight = sum / free.width;
+                let offset = free.x;
+                row.forEach(node => {
+                    const tileWidth = node.area / stripHeight;
+                    tiles.push({ ...node.item, x: offset, y: free.y, width: tileWidth, height: stripHeight });
+                    offset += tileWidth;
+                });
+                free.y += stripHeight;
+                free.height -= stripHeight;
+            }
+        };
+
+        let row = [];
+        nodes.forEach(item => {
+            const node = { item, area: item.value * scale };
+            const side = Math.min(free.width, free.height);
+            if (!row.length || worst([...row, node], side) <= worst(row, side)) {
+                row.push(node);
+                return;
+            }
+            place(row);
+            row = [node];
+        });
+        if (row.length) place(row);
+        return tiles;
+    };
+
+    // Symbol -> sector lookup built from sectors.json:
+    //   { "sectors": [{ "id": "banks", "name": "بانک‌ها", "symbols": ["وبملت", ...] }] }
+    // Symbols are compared through normalizeText, so Arabic and Persian spellings of
+    // a ticker match. A symbol listed under two sectors stays in the first one and
+    // is reported in conflicts.
+    class SectorMap {
+        constructor(definition = null) {
+            this.sectors = [];
+            this.bySymbol = new Map();
+            this.conflicts = [];
+            const entries = Array.isArray(definition) ? definition : definition?.sectors ?? [];
+            entries.forEach((entry, index) => {
+                const name = String(entry?.name ?? "").trim();
+                if (!name || !Array.isArray(entry.symbols)) return;
+                const id = String(entry.id ?? "").trim() || `sector-${index + 1}`;
+                if (this.sectors.some(sector => sector.id === id)) return;
+                const sector = { id, name, symbols: [] };
+                entry.symbols.forEach(symbol => {
+                    const key = normalizeText(symbol);
+                    if (!key) return;
+                    const owner = this.bySymbol.get(key);
+                    if (owner) {
+                        if (owner !== sector) this.conflicts.push({ symbol: String(symbol), kept: owner.name, ignored: name });
+                        return;
+                    }
+                    this.bySymbol.set(key, sector);
+                    sector.symbols.push(String(symbol).trim());
+                });
+                this.sectors.push(sector);
+            });
+        }
+
+        get size() {
+            return this.sectors.length;
+        }
+
+        getSector(id) {
+            return this.sectors.find(sector => sector.id === id) ?? null;
+        }
+
+        sectorOf(symbol) {
+            return this.bySymbol.get(normalizeText(symbol)) ?? null;
+        }
+
+        // Splits a day's records into sector groups (keyed by sector id, in map
+        // order) and the records of symbols the map does not know.
+        partition(records) {
+            const groups = new Map();
+            const unmapped = [];
+            records.forEach(record => {
+                const sector = this.sectorOf(resolveSymbol(record));
+                if (!sector) {
+                    unmapped.push(record);
+                    return;
+                }
+                if (!groups.has(sector.id)) groups.set(sector.id, []);
+                groups.get(sector.id).push(record);
+            });
+            const ordered = new Map(
+                this.sectors.filter(sector => groups.has(sector.id)).map(sector => [sector.id, groups.get(sector.id)])
+            );
+            return { groups: ordered, unmapped };
+        }
+    }
+
+    // Snapshot list entries are file names or { file, schema } objects; the manifest
+    // is either such a list or { schema, snapshots, holidays }.
+    const toSnapshotEntries = (files, schema = null) =>
+        files
+            .map(entry => (typeof entry === "string" ? { file: entry } : { ...entry }))
+            .filter(entry => entry.file)
+            .map(entry => ({ file: entry.file, schema: entry.schema ?? schema }));
+
+    const manifestEntries = manifest =>
+        toSnapshotEntries((Array.isArray(manifest) ? manifest : manifest?.snapshots) ?? [], manifest?.schema ?? null);
+
+    // Holds every loaded snapshot keyed by trade date. It never touches the network
+    // or the DOM: readJson(path) resolves to { data, fromCache } and is supplied by
+    // the host (fetch in the browser, the file system in analyze.js and the tests).
+    class DataRepository {
+        constructor({ manifestUrl = null, files = [], readJson = null } = {}) {
+            this.manifestUrl = manifestUrl;
+            this.files = [...files];
+            this.readJson = readJson;
+            this.byDate = {};
+            this.dates = [];
+            this.latestDate = null;
+            this.sources = [];
+            this.dateResolutions = new WeakMap();
+            this.recordSchemas = new WeakMap();
+            this.metricCache = new WeakMap();
+            this.symbolKeys = new WeakMap();
+            this.schemaByDate = {};
+            this.snapshotListeners = [];
+            this.servedFromCache = false;
+        }
+
+        // Listeners receive the dates of every snapshot that has just been loaded.
+        onSnapshots(listener) {
+            this.snapshotListeners.push(listener);
+        }
+
+        notifySnapshots(dates) {
+            this.snapshotListeners.forEach(listener => {
+                try {
+                    listener(dates);
+                } catch (error) {
+                    console.error(error);
+                }
+            });
+        }
+
+        async load() {
+            const imported = this.sources.filter(source => source.origin === "import");
+            this.servedFromCache = false;
+            const entries = await this.resolveSnapshotFiles();
+            const results = await Promise.allSettled(entries.map(entry => this.readSnapshotJson(entry.file)));
+
+            this.sources = results.map((result, index) => {
+                const { file, schema } = entries[index];
+                const fileDate = parseTradeDate(file);
+                if (result.status === "rejected") {
+                    return { file, fileDate, schema, status: "failed", records: 0, error: result.reason?.message ?? String(result.reason) };
+                }
+                return { file, fileDate, schema, status: "loaded", records: 0, raw: result.value };
+            });
+
+            const loaded = this.sources.filter(source => source.status === "loaded");
+            this.sources
+                .filter(source => source.status === "failed")
+                .forEach(source => console.warn(`فایل ${source.file} بارگذاری نشد: ${source.error}`));
+
+            if (!loaded.length) {
+                throw new Error("هیچ‌یک از فایل‌های داده بارگذاری نشد.");
+            }
+
+            this.byDate = {};
+            this.dateResolutions = new WeakMap();
+            this.recordSchemas = new WeakMap();
+            this.metricCache = new WeakMap();
+            this.symbolKeys = new WeakMap();
+            this.schemaByDate = {};
+            loaded.forEach(source => this.merge(this.ingest(source)));
+            imported.forEach(source =>
+                this.mergeSnapshot({ file: source.file, raw: source.input, schema: source.schema, origin: source.origin })
+            );
+
+            this.dates = Object.keys(this.byDate).sort();
+            this.latestDate = this.dates[this.dates.length - 1] ?? null;
+            this.notifySnapshots([...this.dates]);
+        }
+
+        ingest(source) {
+            const { grouped, schema, quality } = this.normalize(source.raw, source.file, source.schema);
+            source.schema = schema?.version ?? null;
+            source.quality = quality;
+            source.records = Object.values(grouped).reduce((total, records) => total + records.length, 0);
+            source.dates = Object.keys(grouped).sort();
+            delete source.raw;
+            return grouped;
+        }
+
+        // Adds a snapshot parsed in the browser for this session only. A date that
+        // is already loaded is replaced rather than merged, so re-importing a
+        // corrected file does not duplicate its symbols.
+        addSnapshot(snapshot) {
+            const result = this.mergeSnapshot(snapshot);
+            this.notifySnapshots(result.dates);
+            return result;
+        }
+
+        // The parsed input is kept on the source so a later load() can restore
+        // imported snapshots on top of the freshly fetched files.
+        mergeSnapshot({ file, raw, schema = null, origin = "import" }) {
+            const source = { file, fileDate: parseTradeDate(file), schema, status: "loaded", origin, records: 0, raw };
+            if (origin === "import") {
+                source.input = raw;
+            }
+            const grouped = this.ingest(source);
+            const dates = Object.keys(grouped).sort();
+            if (!dates.length) {
+                throw new Error(`در فایل ${file} رکوردی با تاریخ معتبر یافت نشد.`);
+            }
+
+            const replaced = dates.filter(date => this.byDate[date]);
+            replaced.forEach(date => {
+                this.byDate[date] = [];
+                this.schemaByDate[date] = this.recordSchemas.get(grouped[date][0]) ?? this.schemaByDate[date];
+            });
+            this.sources.push(source);
+            this.merge(grouped);
+
+            this.dates = Object.keys(this.byDate).sort();
+            this.latestDate = this.dates[this.dates.length - 1] ?? null;
+            return { dates, replaced, records: source.records };
+        }
+
+        // Reads the files a newer copy of the manifest lists that are not loaded yet
+        // and reports the ones that could not be read. Nothing is merged here; the
+        // caller applies the result with mergeSnapshots() when the user asks for it.
+        async fetchNewSnapshots(manifest) {
+            JalaliCalendar.registerHolidays(manifest?.holidays);
+            const loaded = new Set(this.sources.filter(source => source.status === "loaded").map(source => source.file));
+            const entries = manifestEntries(manifest).filter(entry => !loaded.has(entry.file));
+            const results = await Promise.allSettled(entries.map(entry => this.readSnapshotJson(entry.file)));
+            const snapshots = [];
+            const failed = [];
+            results.forEach((result, index) => {
+                const { file, schema } = entries[index];
+                if (result.status === "rejected") {
+                    console.warn(`فایل ${file} بارگذاری نشد: ${result.reason?.message ?? result.reason}`);
+                    failed.push(file);
+                } else {
+                    snapshots.push({ file, schema, raw: result.value });
+                }
+            });
+            return { snapshots, failed };
+        }
+
+        // Adds fetched snapshots to the loaded data in place, replacing any date they
+        // cover, and returns the dates they brought in.
+        mergeSnapshots(snapshots) {
+            const dates = new Set();
+            snapshots.forEach(({ file, schema = null, raw }) => {
+                this.sources = this.sources.filter(source => source.file !== file || source.status === "loaded");
+                try {
+                    this.mergeSnapshot({ file, raw, schema, origin: "manifest" }).dates.forEach(date => dates.add(date));
+                } catch (error) {
+                    console.warn(error.message);
+                }
+            });
+            const merged = [...dates].sort();
+            if (merged.length) {
+                this.notifySnapshots(merged);
+            }
+            return merged;
+        }
+
+        async resolveSnapshotFiles() {
+            if (!this.manifestUrl) return toSnapshotEntries(this.files);
+
+            try {
+                const manifest = await this.readSnapshotJson(this.manifestUrl);
+                JalaliCalendar.registerHolidays(manifest?.holidays);
+                const entries = manifestEntries(manifest);
+                if (entries.length) return entries;
+            } catch (error) {
+                console.warn("فهرست فایل‌های داده خوانده نشد؛ فهرست پیش‌فرض استفاده می‌شود.", error);
+            }
+            return toSnapshotEntries(this.files);
+        }
+
+        async readSnapshotJson(path) {
+            if (typeof this.readJson !== "function") {
+                throw new Error("برای خواندن فایل‌های داده تابع readJson تعریف نشده است.");
+            }
+            const { data, fromCache = false } = await this.readJson(path);
+            if (fromCache) {
+                this.servedFromCache = true;
+            }
+            return data;
+        }
+
+        normalize(raw, fileName = null, schemaVersion = null) {
+            const result = {};
+            const quality = createQualityReport();
+            const seenSymbols = {};
+            let schema = schemaVersion ? new FieldSchema(schemaVersion) : null;
+            const isSymbolRecord = item => {
+                if (!item || typeof item !== "object") return false;
+                if ("symbol" in item || "ticker" in item) return true;
+                if ("buy_diff" in item || "sell_diff" in item || "net_diff" in item) return true;
+                if ("volume_7days" in item || "volume_21days" in item) return true;
+                return false;
+            };
+
+            const addRecord = (hintedDate, record) => {
+                if (!record) return;
+                const resolution = resolveTradeDate(record, { hintedDate, fileName });
+                this.dateResolutions.set(record, resolution);
+                const { date } = resolution;
+                quality.scanned += 1;
+                if (!date) {
+                    quality.droppedBadDate += 1;
+                    return;
+                }
+                schema = schema ?? FieldSchema.detect(record);
+                this.recordSchemas.set(record, schema);
+                quality.accepted += 1;
+
+                const symbol = resolveSymbol(record);
+                const symbolKey = normalizeText(symbol);
+                if (!symbolKey) {
+                    quality.missingSymbol += 1;
+                } else {
+                    seenSymbols[date] = seenSymbols[date] ?? new Set();
+                    if (seenSymbols[date].has(symbolKey)) {
+                        quality.duplicates.push({ date, symbol });
+                    }
+                    seenSymbols[date].add(symbolKey);
+                }
+
+                schema.inspect(record).forEach(finding => {
+                    quality[finding.kind][finding.metric] = (quality[finding.kind][finding.metric] ?? 0) + 1;
+                    if (finding.kind !== "missing" && quality.issues.length < QUALITY_ISSUE_LIMIT) {
+                        quality.issues.push({ date, symbol, ...finding });
+                    }
+                });
+
+                if (!this.schemaByDate[date]) {
+                    this.schemaByDate[date] = schema;
+                }
+                if (!result[date]) {
+                    result[date] = [];
+                }
+                result[date].push(record);
+            };
+
+            const walker = (node, hintedDate = null) => {
+                if (!node) return;
+                if (Array.isArray(node)) {
+                    node.forEach(item => walker(item, hintedDate));
+                    return;
+                }
+                if (typeof node !== "object") return;
+
+                if (isSymbolRecord(node)) {
+                    addRecord(hintedDate, node);
+                    return;
+                }
+
+                for (const [key, value] of Object.entries(node)) {
+                    if (key === "history") continue;
+                    const dateLike = /^[\d۰-۹/-]{6,10}$/.test(key) ? key : hintedDate;
+                    walker(value, dateLike);
+                }
+            };
+
+            walker(raw);
+            return { grouped: result, schema, quality };
+        }
+
+        explainDate(record) {
+            return this.dateResolutions.get(record) ?? null;
+        }
+
+        getSchema(date = this.latestDate) {
+            return this.schemaByDate[date] ?? new FieldSchema(DEFAULT_FIELD_SCHEMA);
+        }
+
+        read(record, schema = null) {
+            if (!record) return {};
+            const cached = this.metricCache.get(record);
+            if (cached) return cached;
+            const metrics = (schema ?? this.recordSchemas.get(record) ?? FieldSchema.detect(record)).read(record);
+            this.metricCache.set(record, metrics);
+            return metrics;
+        }
+
+        // normalizeText(resolveSymbol(record)), cached per record.
+        symbolKey(record) {
+            let key = this.symbolKeys.get(record);
+            if (key == null) {
+                key = normalizeText(resolveSymbol(record));
+                this.symbolKeys.set(record, key);
+            }
+            return key;
+        }
+
+        merge(grouped) {
+            for (const [date, records] of Object.entries(grouped)) {
+                if (!this.byDate[date]) {
+                    this.byDate[date] = [];
+                }
+                this.byDate[date].push(...records);
+            }
+        }
+
+        getRecords(date) {
+            return this.byDate[date] ?? [];
+        }
+
+        compareSymbols(previousDate, date) {
+            const keysOf = records => new Map(records.map(item => [normalizeText(resolveSymbol(item)), resolveSymbol(item)]));
+            const previous = keysOf(this.getRecords(previousDate));
+            const current = keysOf(this.getRecords(date));
+            return {
+                added: [...current].filter(([key]) => !previous.has(key)).map(([, symbol]) => symbol),
+                removed: [...previous].filter(([key]) => !current.has(key)).map(([, symbol]) => symbol)
+            };
+        }
+
+        pairSymbols(previousDate, date) {
+            const previous = new Map(this.getRecords(previousDate).map(item => [normalizeText(resolveSymbol(item)), item]));
+            return this.getRecords(date)
+                .map(item => ({ symbol: resolveSymbol(item), previous: previous.get(normalizeText(resolveSymbol(item))), current: item }))
+                .filter(pair => pair.symbol && pair.previous);
+        }
+
+        getLatestRecords() {
+            return this.latestDate ? [...this.getRecords(this.latestDate)] : [];
+        }
+
+        resolveDate(date) {
+            if (!date) return this.latestDate;
+            const available = this.dates.filter(item => item <= date);
+            return available[available.length - 1] ?? this.dates[0] ?? null;
+        }
+
+        getRecordsAsOf(date) {
+            const resolved = this.resolveDate(date);
+            return resolved ? [...this.getRecords(resolved)] : [];
+        }
+
+        // Volume-weighted averages of one day's records: each symbol weighs its
+        // 7-day volume, or 1 when the volume is missing. P/M is averaged over the
+        // records that report it.
+        aggregate(date, records) {
+            if (!records.length) {
+                return {
+                    date,
+                    buy: 0,
+                    sell: 0,
+                    net: 0,
+                    pmRatio: null,
+                    volume: 0,
+                    symbols: 0,
+                    filtered: 0
+                };
+            }
+
+            let weightedBuy = 0;
+            let weightedSell = 0;
+            let weightedNet = 0;
+            let weightedPm = 0;
+            let totalWeight = 0;
+            let pmWeight = 0;
+            let volumeSum = 0;
+            let filteredCount = 0;
+
+            records.forEach(item => {
+                const metrics = this.read(item);
+                const volume = metrics.volume7 ?? 0;
+                const weight = volume > 0 ? volume : 1;
+                const buy = metrics.buy ?? 0;
+                const sell = metrics.sell ?? 0;
+                const net = metrics.net ?? 0;
+
+                weightedBuy += buy * weight;
+                weightedSell += sell * weight;
+                weightedNet += net * weight;
+                totalWeight += weight;
+                volumeSum += Math.max(volume, 0);
+
+                if (metrics.pmRatio != null) {
+                    weightedPm += metrics.pmRatio * weight;
+                    pmWeight += weight;
+                }
+                if (metrics.pmRatio || metrics.volume21) {
+                    filteredCount += 1;
+                }
+            });
+
+            const divisor = totalWeight || records.length || 1;
+            return {
+                date,
+                buy: weightedBuy / divisor,
+                sell: weightedSell / divisor,
+                net: weightedNet / divisor,
+                pmRatio: pmWeight ? weightedPm / pmWeight : null,
+                volume: volumeSum,
+                symbols: records.length,
+                filtered: filteredCount || records.length
+            };
+        }
+
+        computeMarketSeries() {
+            return this.dates.map(date => this.aggregate(date, this.getRecords(date)));
+        }
+
+        // How many symbols, rather than how much volume, lean to the buy side on a
+        // day. Only symbols reporting both ratios are counted; shares are percents.
+        breadth(date, records) {
+            let advancing = 0;
+            let declining = 0;
+            let counted = 0;
+            let pmCounted = 0;
+            let pmPositive = 0;
+            let volume = 0;
+            let buyVolume = 0;
+
+            records.forEach(item => {
+                const metrics = this.read(item);
+                if (metrics.pmRatio != null) {
+                    pmCounted += 1;
+                    if (metrics.pmRatio > 0) pmPositive += 1;
+                }
+                if (metrics.buy == null || metrics.sell == null) return;
+                counted += 1;
+                const weight = Math.max(metrics.volume7 ?? 0, 0);
+                volume += weight;
+                if (metrics.buy > metrics.sell) {
+                    advancing += 1;
+                    buyVolume += weight;
+                } else if (metrics.buy < metrics.sell) {
+                    declining += 1;
+                }
+            });
+
+            return {
+                date,
+                advancing,
+                declining,
+                counted,
+                advancingPercent: counted ? (advancing / counted) * 100 : null,
+                positivePmShare: pmCounted ? (pmPositive / pmCounted) * 100 : null,
+                buyVolumeShare: volume ? (buyVolume / volume) * 100 : null
+            };
+        }
+
+        // Daily breadth plus `adLine`, the running total of advancing minus declining symbols.
+        computeBreadthSeries() {
+            let adLine = 0;
+            return this.dates.map(date => {
+                const day = this.breadth(date, this.getRecords(date));
+                adLine += day.advancing - day.declining;
+                return { ...day, adLine };
+            });
+        }
+
+        // One series per sector of the map, aggregated exactly like the market
+        // series; days on which none of a sector's symbols traded are left out.
+        computeSectorSeries(sectorMap) {
+            const series = new Map(sectorMap.sectors.map(sector => [sector.id, []]));
+            this.dates.forEach(date => {
+                sectorMap.partition(this.getRecords(date)).groups.forEach((records, id) => {
+                    series.get(id).push(this.aggregate(date, records));
+                });
+            });
+            return sectorMap.sectors.map(sector => ({ ...sector, series: series.get(sector.id) }));
+        }
+
+        getSymbolHistory(symbol, until = null) {
+            const normalized = normalizeText(symbol);
+            if (!normalized) return [];
+
+            const timeline = [];
+            const seen = new Set();
+
+            for (const date of this.dates) {
+                if (until && date > until) break;
+                const records = this.getRecords(date);
+                const match = records.find(rec => this.symbolKey(rec) === normalized);
+                if (!match) continue;
+
+                const schema = this.recordSchemas.get(match) ?? FieldSchema.detect(match);
+                const entries = Array.isArray(match.history) && match.history.length
+                    ? match.history.map(entry => [resolveTradeDate(entry).date ?? date, entry])
+                    : [[date, match]];
+
+                entries.forEach(([entryDate, entry]) => {
+                    const metrics = this.read(entry, schema);
+                    const key = `${entryDate}-${metrics.buy ?? metrics.net ?? ""}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    timeline.push({
+                        date: entryDate,
+                        buy: metrics.buy ?? null,
+                        sell: metrics.sell ?? null,
+                        net: metrics.net ?? null,
+                        volume7: metrics.volume7 ?? null,
+                        volume21: metrics.volume21 ?? null,
+                        pmRatio: metrics.pmRatio ?? null
+                    });
+                });
+            }
+
+            const sorted = timeline.sort((a, b) =>
+                String(a.date).localeCompare(String(b.date))
+            );
+            return sorted;
+        }
+
+        getSymbolSummary(symbol, until = null) {
+            return summarizeHistory(this.getSymbolHistory(symbol, until));
+        }
+
+        // Signals still running on the as-of date for every symbol traded that day,
+        // strongest first.
+        scanSignals(settings = {}, until = null) {
+            const date = this.resolveDate(until);
+            const seen = new Set();
+            return this.getRecords(date)
+                .flatMap(record => {
+                    const key = this.symbolKey(record);
+                    if (!key || seen.has(key)) return [];
+                    seen.add(key);
+                    const symbol = resolveSymbol(record);
+                    return detectSignals(this.getSymbolHistory(symbol, date), settings)
+                        .filter(signal => signal.date === date)
+                        .map(signal => ({ symbol, ...signal }));
+                })
+                .sort((a, b) => b.strength - a.strength);
+        }
+    }
+
+    const api = Object.freeze({
+        JalaliCalendar,
+        normalizeText,
+        resolveSymbol,
+        toLatinDigits,
+        parseTradeDate,
+        resolveTradeDate,
+        toNumberOrNull,
+        escapeHtml,
+        parseCsv,
+        parseCsvNumber,
+        flowDirection,
+        breadthDisagrees,
+        FIELD_SCHEMAS,
+        DEFAULT_FIELD_SCHEMA,
+        FieldSchema,
+        createQualityReport,
+        movingAverage,
+        weightedMovingAverage,
+        exponentialMovingAverage,
+        bollingerBands,
+        relativeStrengthIndex,
+        cumulativeSum,
+        INDICATORS,
+        INDICATOR_PERIOD_RANGE,
+        summarizeHistory,
+        SIGNAL_PATTERNS,
+        detectSignals,
+        squarify,
+        SectorMap,
+        DataRepository
+    });
+
+    if (typeof module === "object" && module.exports) {
+        module.exports = api;
+    } else {
+        root.IranOICore = api;
+    }
+})(globalThis);
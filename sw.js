@@ -0,0 +1,110 @@
+// Service worker for offline use. The app shell and third-party assets are
+// served from cache and refreshed in the background; snapshot data goes to the
+// network first and falls back to the last copy that was loaded successfully.
+const SHELL_CACHE = "iranoi-shell-v2";
+const RUNTIME_CACHE = "iranoi-runtime-v1";
+const DATA_CACHE = "iranoi-data";
+const CACHED_FROM_HEADER = "X-IranOI-Cache";
+
+const SHELL_FILES = [
+    "./",
+    "index.html",
+    "core.js",
+    "app.js",
+    "styles.css",
+    "manifest.webmanifest",
+    "icons/icon.svg"
+];
+
+const REMOTE_ASSETS = [
+    "https://cdn.jsdelivr.net/npm/chart.js@4.4.6/dist/chart.umd.min.js",
+    "https://fonts.googleapis.com/css2?family=Vazirmatn:wght@300;400;500;600;700&display=swap"
+];
+
+const isDataRequest = url =>
+    url.origin === self.location.origin && /(^|\/)(snapshots|sectors|processed_data_[^/]*)\.json$/.test(url.pathname);
+
+const isRemoteAsset = url =>
+    ["cdn.jsdelivr.net", "fonts.googleapis.com", "fonts.gstatic.com"].includes(url.hostname);
+
+self.addEventListener("install", event => {
+    event.waitUntil(
+        (async () => {
+            const shell = await caches.open(SHELL_CACHE);
+            await shell.addAll(SHELL_FILES);
+            // A CDN outage must not block installation; these are retried at runtime.
+            const runtime = await caches.open(RUNTIME_CACHE);
+            await Promise.all(
+                REMOTE_ASSETS.map(url => runtime.add(new Request(url, { mode: "cors" })).catch(() => null))
+            );
+            await self.skipWaiting();
+        })()
+    );
+});
+
+self.addEventListener("activate", event => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE];
+    event.waitUntil(
+        (async () => {
+            const names = await caches.keys();
+            await Promise.all(names.filter(name => name.startsWith("iranoi-") && !keep.includes(name)).map(name => caches.delete(name)));
+            await self.clients.claim();
+        })()
+    );
+});
+
+// Marks a cached copy so the page can tell it is showing offline data.
+const markCached = async response => {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_FROM_HEADER, "1");
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+};
+
+const networkFirst = async request => {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request.url, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request.url);
+        if (cached) return markCached(cached);
+        throw error;
+    }
+};
+
+const staleWhileRevalidate = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === "opaque") {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+    return cached ?? (await update) ?? Response.error();
+};
+
+self.addEventListener("fetch", event => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+
+    if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request));
+    } else if (request.mode === "navigate") {
+        event.respondWith(
+            staleWhileRevalidate(request, SHELL_CACHE).then(async response =>
+                response.type === "error" ? (await caches.match("index.html")) ?? response : response
+            )
+        );
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else if (isRemoteAsset(url)) {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+});
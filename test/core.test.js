@@ -0,0 +1,450 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { execFileSync } = require("node:child_process");
+
+const {
+    DataRepository,
+    JalaliCalendar,
+    normalizeText,
+    parseTradeDate,
+    escapeHtml,
+    parseCsv,
+    parseCsvNumber,
+    flowDirection,
+    breadthDisagrees,
+    movingAverage,
+    weightedMovingAverage,
+    exponentialMovingAverage,
+    bollingerBands,
+    relativeStrengthIndex,
+    cumulativeSum,
+    INDICATORS,
+    summarizeHistory,
+    SIGNAL_PATTERNS,
+    detectSignals,
+    squarify,
+    SectorMap
+} = require("../core.js");
+const { analyze, parseArgs } = require("../analyze.js");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURE_DATES = [
+    "14040726", "14040727", "14040728", "14040729", "14040730",
+    "14040803", "14040804", "14040805", "14040806", "14040807"
+];
+
+const readFixture = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+
+const loadRepository = async () => {
+    const repository = new DataRepository({
+        manifestUrl: "snapshots.json",
+        readJson: async file => ({ data: readFixture(file) })
+    });
+    await repository.load();
+    return repository;
+};
+
+test("normalizeText folds Arabic letter forms, spacing and case", () => {
+    assert.equal(normalizeText(" كالاي  خودروي "), "کالایخودروی");
+    assert.equal(normalizeText("آسیا"), "اسیا");
+    assert.equal(normalizeText("ABC"), "abc");
+    assert.equal(normalizeText(null), "");
+});
+
+test("parseTradeDate accepts every date shape the producers have written", () => {
+    assert.equal(parseTradeDate("14040726"), "14040726");
+    assert.equal(parseTradeDate("4040726"), "14040726");
+    assert.equal(parseTradeDate("144040726"), "14040726");
+    assert.equal(parseTradeDate("1404/07/26"), "14040726");
+    assert.equal(parseTradeDate("۱۴۰۴/۰۸/۰۷"), "14040807");
+    assert.equal(parseTradeDate("processed_data_14040803.json"), "14040803");
+    assert.equal(parseTradeDate("1404/13/01"), null);
+    assert.equal(parseTradeDate("20251018"), null);
+    assert.equal(parseTradeDate("export_20251018.csv"), null);
+    assert.equal(parseTradeDate(""), null);
+});
+
+test("JalaliCalendar converts trade dates to Gregorian days and weekdays", () => {
+    assert.deepEqual(JalaliCalendar.toGregorian("14040726"), { year: 2025, month: 10, day: 18 });
+    assert.equal(JalaliCalendar.weekdayName("14040726"), "شنبه");
+    assert.equal(JalaliCalendar.daysBetween("14040730", "14040803"), 3);
+    assert.equal(JalaliCalendar.isTradingDay("14040801"), false);
+});
+
+const assertClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, index) => {
+        if (expected[index] == null) {
+            assert.equal(value, null, `index ${index}`);
+        } else {
+            assert.ok(Math.abs(value - expected[index]) < 1e-9, `index ${index}: ${value} != ${expected[index]}`);
+        }
+    });
+};
+
+test("movingAverage leaves the first period - 1 points empty", () => {
+    assert.deepEqual(movingAverage([1, 2, 3, 4], 2), [null, 1.5, 2.5, 3.5]);
+    assert.deepEqual(movingAverage([], 3), []);
+});
+
+test("indicators skip gaps instead of counting them as zero", () => {
+    assert.deepEqual(movingAverage([2, null, 4, 6], 2), [null, null, 3, 5]);
+    assert.deepEqual(movingAverage([2, null, 4], 3), [null, null, null]);
+    assert.deepEqual(cumulativeSum([1, null, 2, -4]), [1, null, 3, -1]);
+    assertClose(weightedMovingAverage([1, null, 2, 3], 2), [null, null, 5 / 3, 8 / 3]);
+});
+
+test("exponentialMovingAverage is seeded with the first simple average", () => {
+    assertClose(exponentialMovingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assertClose(exponentialMovingAverage([2, 4, null, 8], 2), [null, 3, null, 6.333333333333333]);
+});
+
+test("bollingerBands spread two standard deviations around the average", () => {
+    const bands = bollingerBands([1, 3, 5], 2);
+    assertClose(bands.middle, [null, 2, 4]);
+    assertClose(bands.upper, [null, 4, 6]);
+    assertClose(bands.lower, [null, 0, 2]);
+});
+
+test("relativeStrengthIndex follows Wilder's smoothing", () => {
+    assertClose(relativeStrengthIndex([1, 2, 3, 4], 2), [null, null, 100, 100]);
+    assertClose(relativeStrengthIndex([1, 2, 1, 2, 3], 2), [null, null, 50, 75, 87.5]);
+    assertClose(relativeStrengthIndex([3, 3, 3], 2), [null, null, 50]);
+});
+
+test("every indicator returns one value per input point", () => {
+    const values = [0.1, -0.2, null, 0.3, 0.05, -0.1, 0.2];
+    Object.entries(INDICATORS).forEach(([id, definition]) => {
+        definition.compute(values, definition.period ?? 3).forEach(line => {
+            assert.equal(line.values.length, values.length, id);
+            assert.equal(line.values[2], null, id);
+        });
+    });
+});
+
+test("summarizeHistory averages each metric and keeps the latest entry", () => {
+    assert.equal(summarizeHistory([]), null);
+    const summary = summarizeHistory([
+        { date: "14040726", buy: 1, sell: 2, net: -1, volume7: 10, volume21: 30 },
+        { date: "14040727", buy: 3, sell: 1, net: 2, volume7: 20, volume21: 60 }
+    ]);
+    assert.equal(summary.days, 2);
+    assert.equal(summary.firstDate, "14040726");
+    assert.equal(summary.latest.date, "14040727");
+    assert.deepEqual(summary.averages, { buy: 2, sell: 1.5, net: 0.5, volume7: 15, volume21: 45 });
+
+    const gapped = summarizeHistory([
+        { date: "14040726", buy: 1, sell: 2, net: -1, volume7: null, volume21: 30 },
+        { date: "14040727", buy: null, sell: null, net: null, volume7: null, volume21: 60 }
+    ]);
+    assert.deepEqual(gapped.averages, { buy: 1, sell: 2, net: -1, volume7: null, volume21: 45 });
+});
+
+test("DataRepository loads every shipped snapshot through the injected reader", async () => {
+    const repository = await loadRepository();
+    assert.deepEqual(repository.dates, FIXTURE_DATES);
+    assert.equal(repository.latestDate, "14040807");
+    assert.equal(repository.servedFromCache, false);
+    assert.ok(repository.sources.every(source => source.status === "loaded" && source.schema === "tablokhani-v1"));
+    FIXTURE_DATES.forEach(date => {
+        const file = `processed_data_${date}.json`;
+        assert.equal(repository.getRecords(date).length, readFixture(file).length, file);
+    });
+});
+
+test("DataRepository requires a JSON reader", async () => {
+    const repository = new DataRepository({ files: ["processed_data_14040726.json"] });
+    await assert.rejects(repository.load(), /هیچ‌یک از فایل‌های داده بارگذاری نشد/);
+});
+
+test("fetchNewSnapshots reads files added to the manifest and mergeSnapshots applies them in place", async () => {
+    const manifest = readFixture("snapshots.json");
+    const published = { ...manifest, snapshots: manifest.snapshots.slice(0, -1) };
+    const repository = new DataRepository({
+        manifestUrl: "snapshots.json",
+        readJson: async file => ({ data: file === "snapshots.json" ? published : readFixture(file) })
+    });
+    await repository.load();
+    const earlier = repository.getRecords("14040806");
+    const notified = [];
+    repository.onSnapshots(dates => notified.push(dates));
+
+    const { snapshots, failed } = await repository.fetchNewSnapshots(manifest);
+    assert.deepEqual(snapshots.map(snapshot => snapshot.file), ["processed_data_14040807.json"]);
+    assert.deepEqual(failed, []);
+    assert.equal(repository.latestDate, "14040806");
+
+    assert.deepEqual(repository.mergeSnapshots(snapshots), ["14040807"]);
+    assert.deepEqual(notified, [["14040807"]]);
+    assert.deepEqual(repository.dates, FIXTURE_DATES);
+    assert.equal(repository.latestDate, "14040807");
+    assert.equal(repository.getRecords("14040807").length, readFixture("processed_data_14040807.json").length);
+    assert.equal(repository.getRecords("14040806"), earlier);
+    assert.deepEqual(await repository.fetchNewSnapshots(manifest), { snapshots: [], failed: [] });
+});
+
+test("fetchNewSnapshots reports listed files that could not be read", async () => {
+    const manifest = readFixture("snapshots.json");
+    const published = { ...manifest, snapshots: manifest.snapshots.slice(0, -1) };
+    let available = false;
+    const repository = new DataRepository({
+        manifestUrl: "snapshots.json",
+        readJson: async file => {
+            if (file === "snapshots.json") return { data: published };
+            if (file === "processed_data_14040807.json" && !available) throw new Error("503");
+            return { data: readFixture(file) };
+        }
+    });
+    await repository.load();
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(await repository.fetchNewSnapshots(manifest), { snapshots: [], failed: ["processed_data_14040807.json"] });
+    } finally {
+        console.warn = warn;
+    }
+    available = true;
+    const { snapshots, failed } = await repository.fetchNewSnapshots(manifest);
+    assert.deepEqual(snapshots.map(snapshot => snapshot.file), ["processed_data_14040807.json"]);
+    assert.deepEqual(failed, []);
+});
+
+test("an imported CSV keeps markup characters as text and escapeHtml neutralises them", () => {
+    const text = '\uFEFFsymbol,"<b>pm""</b>",volume_7days\r\n"<img src=x onerror=""alert(1)"">",۱٫۵,"۱٬۲۰۰"\r\n';
+    const [headers, ...rows] = parseCsv(text);
+    assert.deepEqual(headers, ["symbol", '<b>pm"</b>', "volume_7days"]);
+    assert.deepEqual(rows, [['<img src=x onerror="alert(1)">', "۱٫۵", "۱٬۲۰۰"]]);
+    assert.equal(parseCsvNumber(rows[0][1]), 1.5);
+    assert.equal(parseCsvNumber(rows[0][2]), 1200);
+
+    const repository = new DataRepository();
+    repository.addSnapshot({ file: "import_14040808.csv", raw: [{ symbol: rows[0][0], pm_ratio: 1.5 }], schema: "tablokhani-v1" });
+    const [record] = repository.getRecords("14040808");
+    assert.equal(record.symbol, rows[0][0]);
+
+    [headers[1], record.symbol].forEach(value => {
+        const escaped = escapeHtml(value);
+        assert.doesNotMatch(escaped, /[<>"]/);
+        assert.equal(escaped.replace(/&quot;/g, '"').replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&"), value);
+    });
+    assert.equal(escapeHtml(null), "");
+});
+
+test("computeMarketSeries weights each symbol by its 7-day volume", async () => {
+    const repository = await loadRepository();
+    const series = repository.computeMarketSeries();
+    assert.deepEqual(series.map(item => item.date), FIXTURE_DATES);
+
+    const records = readFixture("processed_data_14040726.json");
+    let weighted = 0;
+    let total = 0;
+    let volume = 0;
+    records.forEach(record => {
+        const volume7 = Number(record.volume_7days) || 0;
+        const weight = volume7 > 0 ? volume7 : 1;
+        weighted += (Number(record.buy_ratio) || 0) * weight;
+        total += weight;
+        volume += Math.max(volume7, 0);
+    });
+
+    const [first] = series;
+    assert.equal(first.symbols, records.length);
+    assert.ok(Math.abs(first.buy - weighted / total) < 1e-9);
+    assert.ok(Math.abs(first.net - (first.buy - first.sell)) < 1e-9);
+    assert.ok(Math.abs(first.volume - volume) < 1e-6);
+});
+
+test("computeBreadthSeries counts symbols on each side and accumulates the A/D line", async () => {
+    const repository = await loadRepository();
+    const series = repository.computeBreadthSeries();
+    assert.deepEqual(series.map(item => item.date), FIXTURE_DATES);
+
+    const records = readFixture("processed_data_14040726.json");
+    const advancing = records.filter(record => record.buy_ratio > record.sell_ratio);
+    const declining = records.filter(record => record.buy_ratio < record.sell_ratio);
+    const volume = records.reduce((sum, record) => sum + record.volume_7days, 0);
+    const buyVolume = advancing.reduce((sum, record) => sum + record.volume_7days, 0);
+    const [first, second] = series;
+    assert.equal(first.advancing, advancing.length);
+    assert.equal(first.declining, declining.length);
+    assert.ok(Math.abs(first.advancingPercent - (advancing.length / records.length) * 100) < 1e-9);
+    assert.ok(Math.abs(first.positivePmShare - (records.filter(record => record.pm_ratio > 0).length / records.length) * 100) < 1e-9);
+    assert.ok(Math.abs(first.buyVolumeShare - (buyVolume / volume) * 100) < 1e-9);
+    assert.equal(first.adLine, first.advancing - first.declining);
+    assert.equal(second.adLine, first.adLine + second.advancing - second.declining);
+
+    assert.deepEqual(repository.breadth("14040726", []), {
+        date: "14040726",
+        advancing: 0,
+        declining: 0,
+        counted: 0,
+        advancingPercent: null,
+        positivePmShare: null,
+        buyVolumeShare: null
+    });
+});
+
+test("breadthDisagrees compares buy-dominant breadth with the inflow side of the weighted net", async () => {
+    assert.equal(flowDirection(-0.4), 1);
+    assert.equal(flowDirection(0.4), -1);
+    assert.equal(flowDirection(0), 0);
+    assert.equal(flowDirection(null), 0);
+
+    assert.equal(breadthDisagrees(60, 0.5), true);
+    assert.equal(breadthDisagrees(40, -0.5), true);
+    assert.equal(breadthDisagrees(60, -0.5), false);
+    assert.equal(breadthDisagrees(40, 0.5), false);
+    assert.equal(breadthDisagrees(50, 0.5), false);
+    assert.equal(breadthDisagrees(null, 0.5), false);
+
+    const repository = await loadRepository();
+    const market = new Map(repository.computeMarketSeries().map(item => [item.date, item]));
+    const breadth = new Map(repository.computeBreadthSeries().map(item => [item.date, item]));
+    const check = date => breadthDisagrees(breadth.get(date).advancingPercent, market.get(date).net);
+    assert.ok(breadth.get("14040805").advancingPercent < 50 && market.get("14040805").net > 0);
+    assert.equal(check("14040805"), false);
+    assert.ok(breadth.get("14040807").advancingPercent > 50 && market.get("14040807").net > 0);
+    assert.equal(check("14040807"), true);
+});
+
+test("getSymbolHistory follows a symbol across snapshots and stops at the as-of date", async () => {
+    const repository = await loadRepository();
+    const history = repository.getSymbolHistory("خودرو");
+    // The 14040727 snapshot has no row for this symbol, so that day is skipped.
+    assert.deepEqual(history.map(item => item.date), FIXTURE_DATES.filter(date => date !== "14040727"));
+
+    const record = readFixture("processed_data_14040726.json").find(item => item.symbol === "خودرو");
+    assert.equal(history[0].buy, record.buy_ratio);
+    assert.equal(history[0].sell, record.sell_ratio);
+    assert.equal(history[0].volume7, record.volume_7days);
+
+    assert.equal(repository.getSymbolHistory("خودرو", "14040730").length, 4);
+    assert.deepEqual(repository.getSymbolHistory(" خودرو "), repository.getSymbolHistory("خودرو"));
+    assert.deepEqual(repository.getSymbolHistory("نماد-ناموجود"), []);
+    assert.equal(repository.getSymbolSummary("خودرو", "14040730").latest.date, "14040730");
+
+    // A snapshot without flow columns leaves a gap rather than a zero day.
+    repository.addSnapshot({ file: "import_14040808.csv", raw: [{ symbol: "خودرو", pm_ratio: 1.5 }], schema: "tablokhani-v1" });
+    const latest = repository.getSymbolHistory("خودرو").at(-1);
+    assert.deepEqual(
+        [latest.date, latest.buy, latest.sell, latest.net, latest.volume7, latest.volume21, latest.pmRatio],
+        ["14040808", null, null, null, null, null, 1.5]
+    );
+    assert.equal(repository.getSymbolSummary("خودرو").averages.net, repository.getSymbolSummary("خودرو", "14040807").averages.net);
+});
+
+test("detectSignals finds streaks, rising P/M, volume breakouts and MA crossovers", () => {
+    const day = (date, buy, sell, pmRatio, volume7, volume21) => ({ date, buy, sell, net: buy - sell, pmRatio, volume7, volume21 });
+    const history = [
+        day("14040726", 1, 2, 1, 50, 100),
+        day("14040727", 3, 1, 2, 80, 100),
+        day("14040728", 3, 1, 3, 150, 100),
+        day("14040729", 3, 1, 4, 120, 100),
+        day("14040730", 1, 3, 3, 90, 100)
+    ];
+    const signals = detectSignals(history, { netCrossover: { value: 2 } });
+    const byPattern = id => signals.filter(signal => signal.pattern === id);
+
+    assert.deepEqual(byPattern("buyStreak").map(({ startDate, date, length, strength }) => ({ startDate, date, length, strength })), [
+        { startDate: "14040727", date: "14040729", length: 3, strength: 1 }
+    ]);
+    assert.deepEqual(byPattern("pmRising").map(({ startDate, date, length }) => ({ startDate, date, length })), [
+        { startDate: "14040726", date: "14040729", length: 3 }
+    ]);
+    assert.deepEqual(byPattern("volumeBreakout").map(({ date, strength }) => ({ date, strength })), [{ date: "14040728", strength: 1.5 }]);
+    assert.deepEqual(byPattern("netCrossover").map(({ date, direction }) => ({ date, direction })), [{ date: "14040730", direction: "down" }]);
+    assert.deepEqual(signals.map(signal => signal.date), [...signals.map(signal => signal.date)].sort());
+
+    assert.equal(detectSignals(history, { buyStreak: { value: 4 } }).some(signal => signal.pattern === "buyStreak"), false);
+    assert.equal(detectSignals(history, { pmRising: { enabled: false } }).some(signal => signal.pattern === "pmRising"), false);
+    assert.ok(Object.values(SIGNAL_PATTERNS).every(pattern => pattern.param.value >= pattern.param.range[0]));
+});
+
+test("squarify fills the rectangle with tiles proportional to their values", () => {
+    const values = [6, 6, 4, 3, 2, 2, 1, 0];
+    const tiles = squarify(values.map((value, index) => ({ id: index, value })), { x: 10, y: 5, width: 6, height: 4 });
+    assert.deepEqual(tiles.map(tile => tile.id), [0, 1, 2, 3, 4, 5, 6]);
+
+    const area = tiles.reduce((sum, tile) => sum + tile.width * tile.height, 0);
+    assert.ok(Math.abs(area - 24) < 1e-9);
+    tiles.forEach(tile => {
+        assert.ok(Math.abs(tile.width * tile.height - tile.value) < 1e-9, `tile ${tile.id}`);
+        assert.ok(tile.x >= 10 - 1e-9 && tile.x + tile.width <= 16 + 1e-9, `tile ${tile.id}`);
+        assert.ok(tile.y >= 5 - 1e-9 && tile.y + tile.height <= 9 + 1e-9, `tile ${tile.id}`);
+    });
+    // The first strip of the canonical example holds the two largest tiles side by side.
+    assert.deepEqual(tiles.slice(0, 2).map(tile => [tile.x, tile.width]), [[10, 3], [10, 3]]);
+    assert.deepEqual(squarify([{ value: 1 }], { width: 0, height: 4 }), []);
+});
+
+test("scanSignals ranks the signals still running on the as-of date", async () => {
+    const repository = await loadRepository();
+    const signals = repository.scanSignals({}, "14040805");
+    assert.ok(signals.length > 0);
+    assert.ok(signals.every(signal => signal.date === "14040805"));
+    signals.slice(1).forEach((signal, index) => assert.ok(signal.strength <= signals[index].strength));
+
+    const [first] = signals;
+    const own = detectSignals(repository.getSymbolHistory(first.symbol, "14040805"));
+    assert.ok(own.some(signal => signal.pattern === first.pattern && signal.date === "14040805"));
+});
+
+test("SectorMap matches symbols across spellings and reports duplicates", () => {
+    const map = new SectorMap({
+        sectors: [
+            { id: "banks", name: "بانک‌ها", symbols: ["وبملت", "دی"] },
+            { id: "autos", name: "خودرو", symbols: ["خودرو", "دي"] },
+            { name: "بی‌شناسه", symbols: ["فولاد"] },
+            { id: "broken", symbols: ["شستا"] }
+        ]
+    });
+    assert.equal(map.size, 3);
+    assert.equal(map.sectorOf("دي").id, "banks");
+    assert.equal(map.sectorOf("فولاد").id, "sector-3");
+    assert.equal(map.sectorOf("شستا"), null);
+    assert.deepEqual(map.conflicts, [{ symbol: "دي", kept: "بانک‌ها", ignored: "خودرو" }]);
+
+    const { groups, unmapped } = map.partition([{ symbol: "خودرو" }, { symbol: "وبملت" }, { symbol: "شستا" }]);
+    assert.deepEqual([...groups.keys()], ["banks", "autos"]);
+    assert.deepEqual(unmapped, [{ symbol: "شستا" }]);
+});
+
+test("computeSectorSeries weights sector members like the market series", async () => {
+    const repository = await loadRepository();
+    const map = new SectorMap(readFixture("sectors.json"));
+    const banks = repository.computeSectorSeries(map).find(sector => sector.id === "banks");
+    assert.deepEqual(banks.series.map(item => item.date), FIXTURE_DATES);
+
+    const records = readFixture("processed_data_14040807.json").filter(record => map.sectorOf(record.symbol)?.id === "banks");
+    const expected = repository.aggregate("14040807", records);
+    const latest = banks.series[banks.series.length - 1];
+    assert.equal(latest.symbols, records.length);
+    assert.ok(Math.abs(latest.buy - expected.buy) < 1e-9);
+
+    const total = records.reduce((sum, record) => sum + record.volume_7days, 0);
+    const pm = records.reduce((sum, record) => sum + record.pm_ratio * record.volume_7days, 0) / total;
+    assert.ok(Math.abs(latest.pmRatio - pm) < 1e-9);
+    assert.ok(Math.abs(latest.volume - total) < 1e-6);
+});
+
+test("analyze.js reports the market series and symbol summaries", async () => {
+    const result = await analyze({ directory: ROOT, symbols: ["خودرو"], until: "14040804" });
+    assert.equal(result.asOf, "14040804");
+    assert.equal(result.market.length, 7);
+    assert.deepEqual(result.symbols.map(item => item.symbol), ["خودرو"]);
+    assert.equal(result.symbols[0].days, 6);
+
+    assert.deepEqual(parseArgs(["--symbol", "خودرو,فولاد", "--until", "1404/08/04"]).symbols, ["خودرو", "فولاد"]);
+    assert.throws(() => parseArgs(["--until", "فردا"]));
+});
+
+test("analyze.js prints JSON from the command line", () => {
+    const output = execFileSync(process.execPath, [path.join(ROOT, "analyze.js"), "--symbol", "خودرو"], { encoding: "utf8" });
+    const result = JSON.parse(output);
+    assert.equal(result.asOf, "14040807");
+    assert.equal(result.market.length, FIXTURE_DATES.length);
+    assert.equal(result.symbols[0].latest.date, "14040807");
+});